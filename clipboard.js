@@ -9,20 +9,23 @@
 (function (scope, doc) {
     'use strict';
 
-    var timeout;
-
     /**
      * Clipboard global config
      *
      * @type {Object}
      * @prop {*|Function|ZeroClipboard} [ZeroClipboard] ZeroClipboard library constructor
-     * @prop {String} baseDriver default driver name
-     * @prop {String} alternativeDriver alternative driver name, init on starting, destroyed if base driver supported
+     * @prop {Array} drivers ordered drivers chain, driver name or {name: String, enabled: Boolean} object,
+     * first supported driver is used, registered drivers are added to the end
+     * @prop {Number} readTimeout time to wait for paste event, if clipboard reading is not supported
+     * @prop {Boolean} domEvents dispatch "clipboard:" prefixed DOM events on target elements
+     * @prop {String|Array} on copy activation events, "type" or "type:Key" with optional modifiers, e.g. "keydown:Ctrl+Enter"
      * @private
      */
     var globalConfig = {
-        baseDriver: 'native',
-        alternativeDriver: 'flash'
+        drivers: ['async', 'native', 'flash'],
+        readTimeout: 30000,
+        domEvents: true,
+        on: ['click']
     };
 
     /**
@@ -33,11 +36,138 @@
      * @private
      */
     var requiredDriverMethods = [
-        'checkSupport',
-        'copy',
-        'destroy'
+        'checkSupport'
+    ];
+
+    /**
+     * Paste event listeners storage
+     *
+     * @type {Array}
+     * @private
+     */
+    var pasteEvents = [ ];
+
+    /**
+     * Copy bindings storage
+     *
+     * @type {ClipboardBinding[]}
+     * @private
+     */
+    var bindings = [ ];
+
+    /**
+     * Automatic data attributes bindings storage
+     *
+     * @type {ClipboardAutoBind[]}
+     * @private
+     */
+    var autoBinds = [ ];
+
+    /**
+     * Code blocks copy buttons storage
+     *
+     * @type {ClipboardCodeBlocks[]}
+     * @private
+     */
+    var codeBlocks = [ ];
+
+    /**
+     * Code blocks default options
+     *
+     * @type {Object}
+     * @private
+     */
+    var codeBlockDefaults = {
+        selector: 'pre > code',
+        prompts: /^(\$|>) /,
+        shell: undefined,
+        outputs: true,
+        exclude: '.line-numbers-rows, .linenos, .lineno, .hljs-ln-numbers, .gutter, [role="tooltip"], .tooltip',
+        diff: undefined,
+        html: false,
+        buttonText: 'Copy',
+        buttonClass: 'clipboard-code-button'
+    };
+
+    /**
+     * Elements with copy data attributes
+     *
+     * @type {String}
+     * @private
+     */
+    var autoBindSelector = '[data-clipboard-text], [data-clipboard-target]';
+
+    /**
+     * Async Clipboard API errors to clipboard error names
+     *
+     * @type {Object}
+     * @private
+     */
+    var asyncErrorNames = {
+        NotAllowedError: 'permission',
+        SecurityError: 'permission',
+        NotSupportedError: 'support'
+    };
+
+    /**
+     * Formats, which can be written by Async Clipboard API
+     * if ClipboardItem.supports is not defined
+     *
+     * @type {string[]}
+     * @private
+     */
+    var asyncFormats = [
+        'text/plain',
+        'text/html',
+        'image/png'
+    ];
+
+    /**
+     * Formats, which can be written by ZeroClipboard
+     *
+     * @type {string[]}
+     * @private
+     */
+    var flashFormats = [
+        'text/plain',
+        'text/html',
+        'application/rtf'
+    ];
+
+    /**
+     * Computed styles inlined to rich html copy
+     *
+     * @type {string[]}
+     * @private
+     */
+    var richStyles = [
+        'color', 'background-color', 'background-image', 'font-family', 'font-size', 'font-weight', 'font-style',
+        'line-height', 'letter-spacing', 'text-align', 'text-decoration-line', 'text-transform', 'white-space',
+        'vertical-align', 'list-style-type', 'border-collapse', 'display', 'width', 'height', 'border-radius',
+        'border-top', 'border-right', 'border-bottom', 'border-left',
+        'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+        'margin-top', 'margin-right', 'margin-bottom', 'margin-left'
+    ];
+
+    /**
+     * Inherited styles, inlined to rich html copy only if differ from parent ones
+     *
+     * @type {string[]}
+     * @private
+     */
+    var inheritedStyles = [
+        'color', 'font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'letter-spacing',
+        'text-align', 'text-transform', 'white-space', 'list-style-type', 'border-collapse'
     ];
 
+    /**
+     * Url attributes resolved in rich html copy
+     *
+     * @type {string[]}
+     * @private
+     */
+    var urlAttributes = ['href', 'src', 'action', 'poster', 'cite'];
+
     /**
      * Convert array like object to array
      *
@@ -83,6 +213,211 @@
         return toArray(elements.length ? elements : selector);
     }
 
+    /**
+     * Get subtree root element by selector or element, document by default
+     *
+     * @param {String|HTMLElement} [root]
+     * @returns {Document|HTMLElement|null} null if root is not found
+     * @private
+     */
+    function rootElement(root) {
+        if (!root || root === doc) {
+            return doc;
+        }
+
+        var elem = typeof root === 'string' ? doc.querySelector(root) : toElements(root)[0];
+
+        return elem && elem.nodeType === 1 ? elem : null;
+    }
+
+    /**
+     * Check node is element matching selector
+     *
+     * @param {Node} elem
+     * @param {String} selector
+     * @returns {Boolean}
+     * @private
+     */
+    function matchesSelector(elem, selector) {
+        var matches = elem.nodeType === 1 && (elem.matches || elem.msMatchesSelector || elem.webkitMatchesSelector);
+
+        return Boolean(matches) && matches.call(elem, selector);
+    }
+
+    /**
+     * Find closest element matching selector, from given element up to root
+     *
+     * @param {Node} elem
+     * @param {String} selector
+     * @param {Node} root
+     * @returns {HTMLElement|null}
+     * @private
+     */
+    function closestMatch(elem, selector, root) {
+        for (; elem && elem !== root; elem = elem.parentNode) {
+            if (matchesSelector(elem, selector)) {
+                return elem;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Create error with clipboard error name
+     *
+     * @param {String} name
+     * @param {String} message
+     * @returns {Error}
+     * @private
+     */
+    function clipboardError(name, message) {
+        var err = new Error(message);
+        err.name = name;
+
+        return err;
+    }
+
+    /**
+     * Check value is map of MIME types to values
+     *
+     * @param {*} value
+     * @returns {Boolean}
+     * @private
+     */
+    function isFormatsMap(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return false;
+        }
+
+        var keys = Object.keys(value);
+
+        return keys.length > 0 && keys.every(function (key) {
+            return key.indexOf('/') > 0;
+        });
+    }
+
+    /**
+     * Check value is binary clipboard data: Blob or Promise resolved with it
+     *
+     * @param {*} value
+     * @returns {Boolean}
+     * @private
+     */
+    function isBinary(value) {
+        return (typeof Blob === 'function' && value instanceof Blob) || Boolean(value && typeof value.then === 'function');
+    }
+
+    /**
+     * Convert copy value to clipboard data
+     *
+     * @param {*} value string, formats map or any object for JSON
+     * @returns {Object} MIME types to strings map
+     * @private
+     */
+    function toClipboardData(value) {
+        if (isFormatsMap(value)) {
+            return Object.keys(value).reduce(function (data, type) {
+                data[type] = isBinary(value[type]) ? value[type] : '' + value[type];
+
+                return data;
+            }, { });
+        }
+
+        return {
+            'text/plain': value && typeof value === 'object' ? JSON.stringify(value) : '' + value
+        };
+    }
+
+    /**
+     * Read all formats from paste event clipboard data
+     *
+     * @param {DataTransfer} [clipboardData]
+     * @returns {{data: Object, files: Array}}
+     * @private
+     */
+    function readTransfer(clipboardData) {
+        var data = { },
+            files = [ ];
+
+        if (!clipboardData) {
+            return { data: data, files: files };
+        }
+
+        if (!clipboardData.types) {
+            data['text/plain'] = clipboardData.getData('Text');
+        } else {
+            toArray(clipboardData.types).forEach(function (type) {
+                if (type !== 'Files') {
+                    data[type] = clipboardData.getData(type);
+                }
+            });
+        }
+
+        if (clipboardData.files) {
+            files = toArray(clipboardData.files);
+        }
+
+        return { data: data, files: files };
+    }
+
+    /**
+     * Insert data to editable element in place of selection,
+     * uses execCommand to keep native undo and sets value directly otherwise
+     *
+     * @param {HTMLElement} elem input, textarea or contenteditable element
+     * @param {Object} data MIME types to strings map
+     * @private
+     */
+    function insertData(elem, data) {
+        var html = Boolean(elem.isContentEditable) && data['text/html'] !== undefined,
+            value = html ? data['text/html'] : data['text/plain'] || '',
+            selection,
+            range;
+
+        try {
+            if (doc.execCommand(html ? 'insertHTML' : 'insertText', false, value)) {
+                return;
+            }
+        } catch (err) { }
+
+        if (typeof elem.setRangeText === 'function' && typeof elem.selectionStart === 'number') {
+            elem.setRangeText(value, elem.selectionStart, elem.selectionEnd, 'end');
+        } else if (isField(elem)) {
+            elem.value = value;
+        } else {
+            selection = scope.getSelection();
+
+            if (!selection || !selection.rangeCount) {
+                return;
+            }
+
+            range = selection.getRangeAt(0);
+            range.deleteContents();
+            range.insertNode(html ? range.createContextualFragment(value) : doc.createTextNode(value));
+            range.collapse(false);
+        }
+
+        elem.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Copy own properties of objects list to new object, later objects override earlier ones
+     *
+     * @param {Object[]} list
+     * @returns {Object}
+     * @private
+     */
+    function extend(list) {
+        return list.reduce(function (result, item) {
+            Object.keys(item || { }).forEach(function (key) {
+                result[key] = item[key];
+            });
+
+            return result;
+        }, { });
+    }
+
     /**
      * Get target object properties,
      * set enumerable false for all target properties
@@ -118,6 +453,53 @@
         return Object.defineProperties(target, propertiesNames(properties));
     }
 
+    /**
+     * Call channel handlers, handler exception does not stop other handlers
+     *
+     * @param {Array} [channel]
+     * @param {Array} args
+     * @private
+     */
+    function notify(channel, args) {
+        (channel || [ ]).slice().forEach(function (chanel) {
+            try {
+                chanel.handler.apply(chanel.context, args);
+            } catch (err) {
+                window.setTimeout(function () {
+                    throw err;
+                });
+            }
+        });
+    }
+
+    /**
+     * Dispatch bubbling DOM event with "clipboard:" prefix on event target element,
+     * DOM event cancellation prevents clipboard event
+     *
+     * @param {ClipboardCustomEvent} event
+     * @private
+     */
+    function dispatchDomEvent(event) {
+        var target = event.target,
+            name = 'clipboard:' + event.type,
+            domEvent;
+
+        if (!globalConfig.domEvents || !target || typeof target.dispatchEvent !== 'function') {
+            return;
+        }
+
+        if (typeof CustomEvent === 'function') {
+            domEvent = new CustomEvent(name, { bubbles: true, cancelable: true, detail: event });
+        } else {
+            domEvent = doc.createEvent('CustomEvent');
+            domEvent.initCustomEvent(name, true, true, event);
+        }
+
+        if (!target.dispatchEvent(domEvent)) {
+            event.preventDefault();
+        }
+    }
+
     /**
      * Clipboard event emitter
      *
@@ -128,9 +510,23 @@
         constructor: function ClipboardEmitter() { },
 
         /**
-         * Channels storage
+         * Channels storage, created for each emitter on first access
          */
-        channels: { },
+        get channels() {
+            return defineProperties(this, { channels: { } }).channels;
+        },
+
+        /**
+         * Coalesced events storage, created for each emitter on first access
+         */
+        get coalesced() {
+            return defineProperties(this, { coalesced: { } }).coalesced;
+        },
+
+        /**
+         * Parent emitter, triggered events bubble to it
+         */
+        parent: null,
 
         /**
          * Subscribe on clipboard events
@@ -163,9 +559,9 @@
          */
         one: function (name, callback, context) {
             var onceCallback = function () {
-                ClipboardEmitter.off(name, onceCallback);
+                this.off(name, onceCallback);
                 callback.apply(context, arguments);
-            };
+            }.bind(this);
 
             return this.on(name, onceCallback);
         },
@@ -179,7 +575,10 @@
          */
         off: function (name, callback) {
             if (arguments.length === 0) {
-                this.channels.length = 0;
+                Object.keys(this.channels).forEach(function (key) {
+                    delete this.channels[key];
+                }, this);
+
                 return this;
             }
 
@@ -188,11 +587,9 @@
             }
 
             if (callback && typeof callback === 'function') {
-                this.channels[name].forEach(function (chanel, index) {
-                    if (chanel.handler === callback) {
-                        this.channels[name].splice(index, 1);
-                    }
-                }.bind(this));
+                this.channels[name] = this.channels[name].filter(function (chanel) {
+                    return chanel.handler !== callback;
+                });
             } else {
                 delete this.channels[name];
             }
@@ -201,27 +598,70 @@
         },
 
         /**
-         * Triggered clipboard event
+         * Triggered clipboard event, also dispatched as DOM event on target element
          *
          * @param {String} name
-         * @param {Object} [properties]
+         * @param {Object|ClipboardCustomEvent} [properties]
          * @returns {ClipboardEmitter}
          */
         trigger: function (name, properties) {
-            if (!this.channels[name]) {
-                return this;
+            var args = toArray(arguments, 2),
+                event = properties instanceof ClipboardCustomEvent ? properties : new ClipboardCustomEvent(name, properties);
+
+            args.unshift(event);
+
+            this.dispatch(name, args);
+            dispatchDomEvent(event);
+
+            return this;
+        },
+
+        /**
+         * Coalesce events with given name, handlers get only last event
+         * of events triggered within delay
+         *
+         * @param {String} name
+         * @param {Number|Boolean} delay milliseconds, false disables coalescing
+         * @returns {ClipboardEmitter}
+         */
+        coalesce: function (name, delay) {
+            if (this.coalesced[name]) {
+                window.clearTimeout(this.coalesced[name].timer);
+                delete this.coalesced[name];
             }
 
-            var args = toArray(arguments, 2);
+            if (delay !== false) {
+                this.coalesced[name] = {
+                    delay: delay || 0,
+                    timer: undefined
+                };
+            }
 
-            timeout && window.clearTimeout(timeout);
-            timeout = window.setTimeout(function () {
-                args.unshift(new ClipboardCustomEvent(name, properties));
+            return this;
+        },
 
-                this.channels[name].forEach(function (chanel) {
-                    chanel.handler.apply(chanel.context, args);
-                });
-            }.bind(this), 100);
+        /**
+         * Call event handlers in subscription order, then bubble event to parent emitter
+         *
+         * @param {String} name
+         * @param {Array} args handlers arguments, event goes first
+         * @returns {ClipboardEmitter}
+         */
+        dispatch: function (name, args) {
+            var coalesced = this.coalesced[name];
+
+            if (coalesced) {
+                window.clearTimeout(coalesced.timer);
+                coalesced.timer = window.setTimeout(function () {
+                    notify(this.channels[name], args);
+                }.bind(this), coalesced.delay);
+            } else {
+                notify(this.channels[name], args);
+            }
+
+            if (this.parent) {
+                this.parent.dispatch(name, args);
+            }
 
             return this;
         }
@@ -233,8 +673,13 @@
      * @param {String} type
      * @param {Object} [properties]
      * @param {Object} [properties.target] targeting object
-     * @param {Object} [properties.clipboardType] clipboard type, native or flash
-     * @param {Object} [properties.text] copy text (only copy type events)
+     * @param {Object} [properties.clipboardType] clipboard type, async, native or flash
+     * @param {Object} [properties.text] copy text (only copy, cut and beforecopy type events)
+     * @param {Object} [properties.data] MIME types to values map (only copy, cut and beforecopy type events)
+     * @param {Array} [properties.formats] written MIME types (only copy and cut type events)
+     * @param {Object} [properties.html] pasted html (only paste and read type events)
+     * @param {Array} [properties.files] pasted files (only paste and read type events)
+     * @param {Object} [properties.previous] previous driver name (only driverchange type events)
      * @param {Object} [properties.name] error name (only error type events)
      * @param {Object} [properties.message] error message (only error type events)
      * @constructor
@@ -246,13 +691,29 @@
             type: type,
             target: properties.target || null,
             clipboardType: properties.clipboardType || this.clipboardType,
-            timeStamp: this.timeStamp
+            timeStamp: this.timeStamp,
+            defaultPrevented: false
         };
 
         switch (type) {
+            case 'beforecopy':
             case 'copy':
+            case 'cut':
+                defaultProperties.text = properties.text || null;
+                defaultProperties.data = properties.data || null;
+                defaultProperties.formats = properties.formats || [ ];
+                break;
+            case 'paste':
+            case 'read':
                 defaultProperties.text = properties.text || null;
+                defaultProperties.html = properties.html || null;
+                defaultProperties.data = properties.data || null;
+                defaultProperties.files = properties.files || [ ];
+                break;
+            case 'driverchange':
+                defaultProperties.previous = properties.previous || null;
                 break;
+            case 'exhausted':
             case 'error':
                 defaultProperties.message = properties.message || null;
                 defaultProperties.name = properties.name || null;
@@ -269,6 +730,13 @@
 
         get clipboardType() {
             return ClipboardDriver.using;
+        },
+
+        /**
+         * Cancel default action
+         */
+        preventDefault: function () {
+            this.defaultPrevented = true;
         }
     });
 
@@ -280,34 +748,258 @@
     var ClipboardBase = Object.create(ClipboardEmitter, propertiesNames({
         constructor: function ClipboardBase() { },
 
+        /**
+         * Convert callback copy argument to clipboard data,
+         * object with MIME types keys used as formats map
+         *
+         * @param {*} callback
+         * @param {Object} [target] create ClipboardCustomEvent by called callback function
+         * @param {Object} [options] serializer options
+         * @param {String|Function} [options.serialize] serializer name or function of non-string values
+         * @returns {Object} MIME types to strings map
+         */
+        callbackToData: function (callback, target, options) {
+            var value = typeof callback === 'function' ? callback( new ClipboardCustomEvent('copy', { target: target }) ) : callback;
+
+            return toClipboardData(options ? serialize(value, options.serialize || options.format, options) : value);
+        },
+
         /**
          * Convert callback copy argument to string
          *
          * @param {*} callback
          * @param {Object} [target] create ClipboardCustomEvent by called callback function
-         * @returns {String}
+         * @returns {String} text/plain value
          */
         callbackToString: function (callback, target) {
-            if (typeof callback === 'function') {
-                return callback( new ClipboardCustomEvent('copy', { target: target }) );
+            var data = this.callbackToData(callback, target);
+
+            return data['text/plain'] === undefined ? '' : data['text/plain'];
+        },
+
+        /**
+         * Trigger cancellable beforecopy event,
+         * handlers can change event text or data to transform written data
+         *
+         * @param {Object} data MIME types to strings map
+         * @param {Object} [target]
+         * @param {String} [clipboardType]
+         * @returns {Object|null} data to write, null if copy was prevented
+         */
+        beforeCopy: function (data, target, clipboardType) {
+            var event = new ClipboardCustomEvent('beforecopy', {
+                clipboardType: clipboardType,
+                target: target,
+                text: data['text/plain'],
+                data: toClipboardData(data)
+            });
+
+            this.trigger('beforecopy', event);
+
+            if (event.defaultPrevented) {
+                return null;
             }
 
-            if (typeof callback === 'object') {
-                return JSON.stringify(callback);
+            var result = isFormatsMap(event.data) ? toClipboardData(event.data) : { };
+
+            if (event.text !== data['text/plain'] && event.text !== null) {
+                result['text/plain'] = '' + event.text;
             }
 
-            return '' + callback;
+            return result;
         }
     }));
 
+    /**
+     * Get enabled drivers names in configured order
+     *
+     * @returns {string[]}
+     * @private
+     */
+    function chainNames() {
+        return globalConfig.drivers.filter(function (entry) {
+            return typeof entry === 'string' || entry.enabled !== false;
+        }).map(function (entry) {
+            return typeof entry === 'string' ? entry : entry.name;
+        });
+    }
+
+    /**
+     * Get driver capabilities with defaults
+     *
+     * @param {ClipboardDriver} driver
+     * @returns {{formats: string[], read: Boolean, gesture: Boolean}}
+     * @private
+     */
+    function capabilitiesOf(driver) {
+        var capabilities = typeof driver.capabilities === 'function' ? driver.capabilities() || { } : { };
+
+        return {
+            formats: capabilities.formats || ['text/plain'],
+            read: capabilities.read === undefined ? typeof driver.read === 'function' : Boolean(capabilities.read),
+            gesture: capabilities.gesture !== false
+        };
+    }
+
+    /**
+     * Check driver can write all given formats,
+     * driver formats can contain "text/*" like masks
+     *
+     * @param {ClipboardDriver} driver
+     * @param {string[]} formats
+     * @returns {Boolean}
+     * @private
+     */
+    function canWrite(driver, formats) {
+        var writable = capabilitiesOf(driver).formats;
+
+        return formats.every(function (type) {
+            return writable.some(function (mask) {
+                return mask === type || mask === '*' || (/\/\*$/.test(mask) && type.indexOf(mask.slice(0, -1)) === 0);
+            });
+        });
+    }
+
+    /**
+     * Get driver for data writing, given driver is used if it can write all formats,
+     * otherwise first supported driver of chain, which can
+     *
+     * @param {ClipboardDriver} driver
+     * @param {Object} data MIME types to values map
+     * @returns {ClipboardDriver}
+     * @private
+     */
+    function writerFor(driver, data) {
+        var formats = Object.keys(data);
+
+        if (canWrite(driver, formats)) {
+            return driver;
+        }
+
+        return ClipboardDriver.chain.filter(function (item) {
+            return typeof item.write === 'function' && canWrite(item, formats) && item.checkSupport();
+        })[0] || driver;
+    }
+
+    /**
+     * Drivers fallback state machine,
+     * states: probing (no active driver yet), active, exhausted (no supported drivers)
+     *
+     * @type {Object}
+     * @private
+     */
+    var ClipboardFallback = defineProperties({
+        /**
+         * Current state
+         */
+        state: 'probing',
+
+        /**
+         * Get active driver, walks drivers chain on probing state
+         *
+         * @returns {ClipboardDriver|undefined}
+         */
+        get driver() {
+            if (this.state === 'probing') {
+                this.next();
+            }
+
+            return ClipboardDriver.current;
+        },
+
+        /**
+         * Use first supported driver of chain after given one,
+         * triggers exhausted event if there are no supported drivers
+         *
+         * @param {String} [after] failed driver name, chain is walked from start if not given
+         * @returns {ClipboardDriver|undefined} used driver
+         */
+        next: function (after) {
+            var names = chainNames(),
+                driver;
+
+            this.state = 'probing';
+
+            names = names.slice(names.indexOf(after) + 1);
+
+            for (var i = 0; i < names.length; i++) {
+                driver = ClipboardDriver.get(names[i]);
+
+                if (driver && driver.checkSupport()) {
+                    ClipboardDriver.use(driver.name);
+
+                    return driver;
+                }
+            }
+
+            this.state = 'exhausted';
+
+            ClipboardBase.parent.trigger('exhausted', {
+                clipboardType: after,
+                message: 'No supported clipboard drivers',
+                name: 'support'
+            });
+        },
+
+        /**
+         * Set active state after drivers switch, triggers driverchange event
+         *
+         * @param {String} [previous] previous driver name
+         */
+        activate: function (previous) {
+            this.state = 'active';
+
+            ClipboardBase.parent.trigger('driverchange', {
+                clipboardType: ClipboardDriver.using,
+                previous: previous
+            });
+        },
+
+        /**
+         * Handle driver error, support error of active driver moves bindings to next driver
+         * and repeats target binding activation event on target
+         *
+         * @param {ClipboardCustomEvent} e
+         */
+        error: function (e) {
+            if (e.name !== 'support' || e.clipboardType !== ClipboardDriver.using) {
+                return;
+            }
+
+            ClipboardDriver.remove(e.clipboardType);
+
+            var binding = bindings.filter(function (item) {
+                return item.owns(e.target);
+            })[0];
+
+            if (this.state === 'active' && binding) {
+                e.target.dispatchEvent(activationEvent(binding.activations[0]));
+            }
+        },
+
+        /**
+         * Reset to probing state, without active driver
+         */
+        reset: function () {
+            this.state = 'probing';
+            ClipboardDriver.using = undefined;
+        }
+    });
+
     /**
      * Clipboard driver interface
      *
      * @param {String} name
      * @param {ClipboardBase} driver
      * @param {Function} driver.checkSupport validate driver support
-     * @param {Function} driver.copy
-     * @param {Function} driver.destroy
+     * @param {Function} [driver.write] write data, returns written formats or Promise resolved with them,
+     * elements listeners are bound by bindings
+     * @param {Function} [driver.copy] bind own copy listeners to elements, used instead of write on elements activation
+     * @param {Function} [driver.read] programmatic paste, returns Promise resolved with formats map and files
+     * @param {Function} [driver.capabilities] returns {formats: string[], read: Boolean, gesture: Boolean} object,
+     * formats are writable MIME types, gesture is true if user gesture is required
+     * @param {Function} [driver.unbind] remove own copy listeners from elements, bound with given callback
+     * @param {Function} [driver.destroy]
      * @param {Object} [driver.config] set properties to global config
      * @constructor
      */
@@ -325,13 +1017,25 @@
                 }
             });
 
+            if (!driver.hasOwnProperty('write') && !driver.hasOwnProperty('copy')) {
+                throw Error('Method write or copy is not defined');
+            }
+
             Object.keys(driver).forEach(function (key) {
                 if (key in this) {
                     this[key] = typeof driver[key] === 'function' ? driver[key].bind(scope) : driver[key];
                 }
             }, this);
 
+            if (!driver.hasOwnProperty('destroy')) {
+                this.destroy = function () { };
+            }
+
+            Object.defineProperty(this, 'emitter', { value: driver });
+
             ClipboardDriver.register(this);
+
+            driver.on('error', ClipboardFallback.error, ClipboardFallback);
         } catch(err) {
             driver.trigger('error', {
                 target: driver,
@@ -365,19 +1069,61 @@
         },
 
         /**
-         * Set using driver
+         * Get enabled registered drivers in configured order
+         *
+         * @returns {ClipboardDriver[]}
+         */
+        get chain() {
+            return chainNames().filter(function (name) {
+                return this.has(name);
+            }, this).map(function (name) {
+                return this.get(name);
+            }, this);
+        },
+
+        /**
+         * Set using driver, moves all copy bindings to it
          *
          * @param {String} name driver name
          * @returns {ClipboardDriver}
          */
         use: function (name) {
-            if (this.has(name)) {
-                this.using = name
+            if (!this.has(name) || this.using === name) {
+                return this;
+            }
+
+            var previous = this.current,
+                previousName = this.using;
+
+            if (previous) {
+                bindings.forEach(function (binding) {
+                    binding.detach(previous);
+                });
             }
 
+            this.using = name;
+
+            bindings.forEach(function (binding) {
+                binding.attach(this.current);
+            }, this);
+
+            ClipboardFallback.activate(previousName);
+
             return this;
         },
 
+        /**
+         * Get driver capabilities by name
+         *
+         * @param {String} name driver name
+         * @returns {{formats: string[], read: Boolean, gesture: Boolean}|undefined}
+         */
+        capabilities: function (name) {
+            if (this.has(name)) {
+                return capabilitiesOf(this.get(name));
+            }
+        },
+
         /**
          * Has driver in storage
          *
@@ -423,21 +1169,45 @@
 
             this.drivers[driver.name] = driver;
 
+            var listed = globalConfig.drivers.some(function (entry) {
+                return (typeof entry === 'string' ? entry : entry.name) === driver.name;
+            });
+
+            if (!listed) {
+                globalConfig.drivers = globalConfig.drivers.concat(driver.name);
+            }
+
+            // Bindings are attached to the first supported driver, if there were none
+            if (ClipboardFallback.state === 'exhausted') {
+                ClipboardFallback.next();
+            }
+
             return this;
         },
 
         /**
-         * Remove clipboard driver
+         * Remove clipboard driver,
+         * next supported driver of chain is used instead of removed current driver
          *
          * @param {String} name
          * @returns {ClipboardDriver}
          */
         remove: function (name) {
             if (this.has(name)) {
+                if (this.using === name) {
+                    bindings.forEach(function (binding) {
+                        binding.detach(this.current);
+                    }, this);
+                }
+
                 this.get(name).destroy();
                 delete this.drivers[name];
             }
 
+            if (this.using === name && !ClipboardFallback.next(name)) {
+                this.using = undefined;
+            }
+
             return this;
         }
     });
@@ -478,6 +1248,38 @@
             Object.defineProperty(this, 'copy', { value: value });
         },
 
+        set write(value) {
+            if (typeof value !== 'function') {
+                throw Error('write method is not a function');
+            }
+
+            Object.defineProperty(this, 'write', { value: value });
+        },
+
+        set capabilities(value) {
+            if (typeof value !== 'function') {
+                throw Error('capabilities method is not a function');
+            }
+
+            Object.defineProperty(this, 'capabilities', { value: value });
+        },
+
+        set read(value) {
+            if (typeof value !== 'function') {
+                throw Error('read method is not a function');
+            }
+
+            Object.defineProperty(this, 'read', { value: value });
+        },
+
+        set unbind(value) {
+            if (typeof value !== 'function') {
+                throw Error('unbind method is not a function');
+            }
+
+            Object.defineProperty(this, 'unbind', { value: value });
+        },
+
         set destroy(value) {
             if (typeof value !== 'function') {
                 throw Error('destroy method is not a function');
@@ -495,10 +1297,124 @@
         }
     });
 
+    new ClipboardDriver('async', {
+        checkSupport: function () {
+            return Boolean(navigator.clipboard && typeof navigator.clipboard.writeText === 'function');
+        },
+
+        capabilities: function () {
+            var clipboard = navigator.clipboard || { },
+                rich = typeof scope.ClipboardItem === 'function' && typeof clipboard.write === 'function';
+
+            return {
+                formats: rich ? asyncFormats.filter(function (type) {
+                    return typeof ClipboardItem.supports !== 'function' || ClipboardItem.supports(type);
+                }) : ['text/plain'],
+                read: typeof clipboard.readText === 'function',
+                gesture: true
+            };
+        },
+
+        /**
+         * Filter data formats, which can be written by ClipboardItem
+         *
+         * @param {Object} data
+         * @returns {string[]}
+         */
+        writableFormats: function (data) {
+            var types = Object.keys(data);
+
+            if (typeof scope.ClipboardItem !== 'function' || !navigator.clipboard.write) {
+                return types.indexOf('text/plain') !== -1 ? ['text/plain'] : [ ];
+            }
+
+            return types.filter(function (type) {
+                if (typeof ClipboardItem.supports === 'function') {
+                    return ClipboardItem.supports(type);
+                }
+
+                return asyncFormats.indexOf(type) !== -1;
+            });
+        },
+
+        /**
+         * Write data to clipboard, uses writeText for plain text only
+         *
+         * @param {Object} data
+         * @returns {Promise} resolved with written formats
+         */
+        write: function (data) {
+            var formats = this.writableFormats(data);
+
+            if (!formats.length) {
+                return Promise.reject(clipboardError('format', 'No writable formats'));
+            }
+
+            var promise = formats.length === 1 && formats[0] === 'text/plain' ?
+                navigator.clipboard.writeText(data['text/plain']) :
+                navigator.clipboard.write([
+                    new ClipboardItem(formats.reduce(function (item, type) {
+                        item[type] = isBinary(data[type]) ? data[type] : new Blob([data[type]], { type: type });
+
+                        return item;
+                    }, { }))
+                ]);
+
+            return promise.then(function () {
+                return formats;
+            }, function (err) {
+                throw clipboardError(asyncErrorNames[err.name] || 'write', err.message);
+            });
+        },
+
+        /**
+         * Read data from clipboard, uses readText for plain text only
+         *
+         * @param {String} [type]
+         * @returns {Promise} resolved with formats map and files
+         */
+        read: function (type) {
+            var clipboard = navigator.clipboard,
+                promise;
+
+            if (type === 'text/plain' || typeof clipboard.read !== 'function') {
+                if (typeof clipboard.readText !== 'function') {
+                    return Promise.reject(clipboardError('support', 'Clipboard reading not supported'));
+                }
+
+                promise = clipboard.readText().then(function (text) {
+                    return { data: { 'text/plain': text }, files: [ ] };
+                });
+            } else {
+                promise = clipboard.read().then(function (items) {
+                    var result = { data: { }, files: [ ] };
+
+                    return Promise.all(items.map(function (item) {
+                        return Promise.all(item.types.map(function (itemType) {
+                            return item.getType(itemType).then(function (blob) {
+                                if (itemType.indexOf('text/') !== 0) {
+                                    return result.files.push(blob);
+                                }
+
+                                return blob.text().then(function (text) {
+                                    result.data[itemType] = text;
+                                });
+                            });
+                        }));
+                    })).then(function () {
+                        return result;
+                    });
+                });
+            }
+
+            return promise.then(null, function (err) {
+                throw clipboardError(asyncErrorNames[err.name] || 'read', err.message);
+            });
+        }
+    });
 
     new ClipboardDriver('native', {
         isSupport: undefined,
-        events: [ ],
         textArea: undefined,
 
         get copyElement() {
@@ -518,66 +1434,119 @@
             return this.isSupport === undefined ? this.isSupport = doc.queryCommandSupported('copy') : this.isSupport;
         },
 
-        copy: function (elem, callback) {
-            var mouseDownHandler = function (e) {
-                e.preventDefault();
+        capabilities: function () {
+            return {
+                formats: ['text/*'],
+                read: true,
+                gesture: true
+            };
+        },
+
+        /**
+         * Write data to clipboard by execCommand,
+         * all formats are set in copy event handler,
+         * rejected with permission error if browser refused copy command
+         *
+         * @param {Object} data
+         * @returns {Promise} resolved with written formats
+         */
+        write: function (data) {
+            return new Promise(function (resolve, reject) {
+                var formats = [ ],
+                    copied = false,
+                    handled = false;
 
-                var val = this.callbackToString(callback, e.target);
+                var copyHandler = function (event) {
+                    handled = true;
 
-                this.copyElement.value = val;
-                this.copyElement.select();
+                    if (!event.clipboardData) {
+                        return formats.push('text/plain');
+                    }
 
-                try {
-                    doc.execCommand('copy');
+                    Object.keys(data).forEach(function (type) {
+                        if (typeof data[type] !== 'string') {
+                            return;
+                        }
 
-                    this.trigger('copy', {
-                        target: e.currentTarget,
-                        text: val
+                        try {
+                            event.clipboardData.setData(type, data[type]);
+                            formats.push(type);
+                        } catch (err) { }
                     });
+
+                    event.preventDefault();
+                };
+
+                var active = doc.activeElement;
+
+                this.copyElement.value = data['text/plain'] || '';
+                this.copyElement.select();
+
+                doc.addEventListener('copy', copyHandler, false);
+
+                try {
+                    copied = doc.execCommand('copy');
                 } catch (err) {
                     this.isSupport = false;
                 }
 
-                if (this.isSupport === undefined) {
-                    this.checkSupport();
+                doc.removeEventListener('copy', copyHandler, false);
 
-                    if (this.isSupport) {
-                        ClipboardDriver.remove('flash');
-                    }
+                if (active && typeof active.focus === 'function') {
+                    active.focus();
                 }
 
-                if (!this.isSupport) {
-                    this.trigger('error', {
-                        clipboardType: 'native',
-                        target: e.currentTarget,
-                        message: 'Native clipboard not supported',
-                        name: 'support'
-                    });
-                } else {
-                    ClipboardDriver.use('native');
+                if (!this.checkSupport()) {
+                    return reject(clipboardError('support', 'Native clipboard not supported'));
                 }
-            }.bind(this);
 
-            elem.forEach(function (item) {
-                item.addEventListener('mousedown', mouseDownHandler, false);
-
-                this.events.push({
-                    elem: item,
-                    handler: mouseDownHandler
-                });
-            }, this);
+                if (!copied || !handled) {
+                    return reject(clipboardError('permission', 'Copy command was refused'));
+                }
 
-            return this;
+                resolve(formats);
+            }.bind(this));
         },
 
-        destroy: function () {
-            (doc.body || doc.documentElement).removeChild(this.copyElement);
+        /**
+         * Read data from next paste event,
+         * execCommand paste fires it immediately where allowed
+         *
+         * @returns {Promise} resolved with formats map and files
+         */
+        read: function () {
+            return new Promise(function (resolve, reject) {
+                var timer;
+
+                var pasteHandler = function (e) {
+                    e.preventDefault();
+
+                    window.clearTimeout(timer);
+                    doc.removeEventListener('paste', pasteHandler, true);
+
+                    resolve(readTransfer(e.clipboardData || scope.clipboardData));
+                };
 
-            this.events.forEach(function (item) {
-                item.elem.removeEventListener('mousedown', item.handler, false);
+                timer = window.setTimeout(function () {
+                    doc.removeEventListener('paste', pasteHandler, true);
+
+                    reject(clipboardError('timeout', 'Paste event was not fired'));
+                }, globalConfig.readTimeout);
+
+                doc.addEventListener('paste', pasteHandler, true);
+
+                try {
+                    doc.execCommand('paste');
+                } catch (err) { }
             });
+        },
+
+        destroy: function () {
+            if (this.textArea && this.textArea.parentNode) {
+                this.textArea.parentNode.removeChild(this.textArea);
+            }
 
-            this.events.length = 0;
+            this.textArea = undefined;
         }
     });
 
@@ -586,6 +1555,8 @@
             ZeroClipboard: window.ZeroClipboard || globalConfig.ZeroClipboard || null
         },
 
+        clients: [ ],
+
         checkSupport: function () {
             if (!this.config.ZeroClipboard) {
                 return false;
@@ -594,18 +1565,44 @@
             return !this.config.ZeroClipboard.isFlashUnusable();
         },
 
+        capabilities: function () {
+            return {
+                formats: flashFormats,
+                read: false,
+                gesture: true
+            };
+        },
+
         copy: function (elem, callback) {
             var clip = new globalConfig.ZeroClipboard(elem),
-                val;
+                data;
+
+            this.clients.push({
+                client: clip,
+                callback: callback
+            });
 
             clip.on('copy', function (e) {
-                val = this.callbackToString(callback, e.target);
-                e.clipboardData.setData('text/plain', val);
+                data = this.beforeCopy(this.callbackToData(callback, e.target), e.target, 'flash');
+
+                if (!data) {
+                    return;
+                }
+
+                var formats = Object.keys(data).filter(function (type) {
+                    return flashFormats.indexOf(type) !== -1;
+                });
+
+                formats.forEach(function (type) {
+                    e.clipboardData.setData(type, data[type]);
+                });
 
                 this.trigger('copy', {
                     clipboardType: 'flash',
                     target: e.target,
-                    text: val
+                    text: data['text/plain'],
+                    data: data,
+                    formats: formats
                 });
             }.bind(this));
 
@@ -619,7 +1616,25 @@
             }.bind(this));
         },
 
+        unbind: function (elem, callback) {
+            this.clients = this.clients.filter(function (item) {
+                if (item.callback !== callback) {
+                    return true;
+                }
+
+                item.client.unclip(elem);
+
+                if (item.client.elements().length) {
+                    return true;
+                }
+
+                item.client.destroy();
+            });
+        },
+
         destroy: function () {
+            this.clients.length = 0;
+
             if (this.config.ZeroClipboard) {
                 this.config.ZeroClipboard.destroy();
             }
@@ -627,66 +1642,2159 @@
     });
 
     /**
-     * External interface Clipboard lib
+     * Write data by driver, driver write can return written formats,
+     * Promise resolved with them or nothing if all formats were written,
+     * if driver can not write images, other formats are written and then rejected with image-support error
      *
-     * @type {{copy: Function, config: Function, destroy: Function}}
+     * @param {ClipboardDriver} driver
+     * @param {Object} data MIME types to values map
+     * @returns {Promise} resolved with written formats
+     * @private
      */
-    var ClipboardAPI = {
+    function writeBy(driver, data) {
+        var images = Object.keys(data).filter(function (type) {
+                return type.indexOf('image/') === 0;
+            }),
+            rest = { },
+            promise;
+
+        if (images.length && !canWrite(driver, images)) {
+            Object.keys(data).forEach(function (type) {
+                if (images.indexOf(type) === -1) {
+                    rest[type] = data[type];
+                }
+            });
+
+            promise = Object.keys(rest).length ? writeBy(driver, rest) : Promise.resolve();
+
+            return promise.then(function () {
+                throw clipboardError('image-support', 'Image writing not supported');
+            });
+        }
+
+        try {
+            promise = Promise.resolve(driver.write(data));
+        } catch (err) {
+            promise = Promise.reject(err);
+        }
+
+        return promise.then(function (formats) {
+            return Array.isArray(formats) ? formats : Object.keys(data);
+        }, function (err) {
+            throw clipboardError(err && err.name && err.name !== 'Error' ? err.name : 'write', err && err.message);
+        });
+    }
+
+    /**
+     * Parse activation event, "type" or "type:Key" with optional modifiers
+     *
+     * @param {String} spec e.g. "click", "keydown:Space" or "keydown:Ctrl+Enter"
+     * @returns {{type: String, key: String|undefined, modifiers: string[]}}
+     * @private
+     */
+    function parseActivation(spec) {
+        var parts = spec.split(':'),
+            keys = parts[1] ? parts[1].split('+') : [ ],
+            key = keys.pop();
+
+        return {
+            type: parts[0],
+            key: key === 'Space' ? ' ' : key,
+            modifiers: keys.map(function (modifier) {
+                return modifier.toLowerCase();
+            })
+        };
+    }
+
+    /**
+     * Check event matches activation:
+     * primary mouse button, not repeated key and exactly given modifier keys
+     *
+     * @param {Object} activation parsed activation
+     * @param {Event} e
+     * @returns {Boolean}
+     * @private
+     */
+    function isActivation(activation, e) {
+        if (e.type !== activation.type || e.repeat || (typeof e.button === 'number' && e.button !== 0)) {
+            return false;
+        }
+
+        if (activation.key && (!e.key || e.key.toLowerCase() !== activation.key.toLowerCase())) {
+            return false;
+        }
+
+        return ['ctrl', 'alt', 'shift', 'meta'].every(function (modifier) {
+            return Boolean(e[modifier + 'Key']) === (activation.modifiers.indexOf(modifier) !== -1);
+        });
+    }
+
+    /**
+     * Create synthetic activation event
+     *
+     * @param {Object} activation parsed activation
+     * @returns {Event}
+     * @private
+     */
+    function activationEvent(activation) {
+        var init = {
+            bubbles: true,
+            cancelable: true,
+            button: 0,
+            key: activation.key,
+            ctrlKey: activation.modifiers.indexOf('ctrl') !== -1,
+            altKey: activation.modifiers.indexOf('alt') !== -1,
+            shiftKey: activation.modifiers.indexOf('shift') !== -1,
+            metaKey: activation.modifiers.indexOf('meta') !== -1
+        };
+
+        if (activation.type.indexOf('key') === 0) {
+            return new KeyboardEvent(activation.type, init);
+        }
+
+        if (activation.type.indexOf('touch') === 0) {
+            return new Event(activation.type, init);
+        }
+
+        return new MouseEvent(activation.type, init);
+    }
+
+    /**
+     * Copy binding handle, kept in bindings registry
+     * and bound by current driver
+     *
+     * @param {Array} elements listened elements, delegation roots if selector is given
+     * @param {*} callback
+     * @param {Object} [options]
+     * @param {String|Array} [options.on] activation events, global config is used by default
+     * @param {String} [selector] delegated targets selector, matched on activation
+     * @constructor
+     */
+    var ClipboardBinding = function (elements, callback, options, selector) {
+        var binding = this;
+
+        defineProperties(this, {
+            elements: elements,
+            callback: callback,
+            options: options || { },
+            selector: selector || null,
+            events: [ ],
+
+            /**
+             * Delegated targets, bound by legacy driver
+             */
+            delegated: [ ],
+
+            /**
+             * Callback passed to drivers, calls current binding callback
+             * and serializes its value by binding serializer
+             */
+            proxy: function (e) {
+                var value = typeof binding.callback === 'function' ? binding.callback(e) : binding.callback;
+
+                return serialize(value, binding.options.serialize || binding.options.format, binding.options);
+            }
+        });
+    };
+
+    defineProperties(ClipboardBinding.prototype, {
+        /**
+         * Get parsed activation events
+         *
+         * @returns {Array}
+         */
+        get activations() {
+            return [ ].concat(this.options.on || globalConfig.on).map(parseActivation);
+        },
+
+        /**
+         * Bind copy listeners by driver
+         *
+         * @param {ClipboardDriver} driver
+         * @returns {ClipboardBinding}
+         */
+        attach: function (driver) {
+            if (typeof driver.copy === 'function' && this.selector) {
+                this.addDelegates(this.elements, driver);
+            } else if (typeof driver.copy === 'function') {
+                driver.copy(this.elements, this.proxy, this.options);
+            } else {
+                this.addListeners(this.elements, driver);
+            }
+
+            return this;
+        },
+
+        /**
+         * Remove copy listeners of driver
+         *
+         * @param {ClipboardDriver} driver
+         * @returns {ClipboardBinding}
+         */
+        detach: function (driver) {
+            this.removeListeners(this.elements);
+
+            if (typeof driver.unbind === 'function') {
+                driver.unbind(this.elements.concat(this.delegated), this.proxy);
+            }
+
+            this.delegated = [ ];
+
+            return this;
+        },
+
+        /**
+         * Check element is listened or is delegated target of binding
+         *
+         * @param {HTMLElement} elem
+         * @returns {Boolean}
+         */
+        owns: function (elem) {
+            if (!this.selector) {
+                return this.elements.indexOf(elem) !== -1;
+            }
+
+            return this.elements.some(function (root) {
+                return root !== elem && root.contains(elem) && closestMatch(elem, this.selector, root) === elem;
+            }, this);
+        },
+
+        /**
+         * Get activated element: listened element or delegated target inside of it
+         *
+         * @param {Event} e
+         * @returns {HTMLElement|null}
+         */
+        match: function (e) {
+            return this.selector ? closestMatch(e.target, this.selector, e.currentTarget) : e.currentTarget;
+        },
+
+        /**
+         * Listen activation events on elements, which copy by driver
+         *
+         * @param {Array} elements
+         * @param {ClipboardDriver} driver
+         */
+        addListeners: function (elements, driver) {
+            var activations = this.activations;
+
+            var handler = function (e) {
+                var target = this.match(e);
+
+                var matched = target && activations.some(function (activation) {
+                    return isActivation(activation, e);
+                });
+
+                if (matched) {
+                    e.preventDefault();
+
+                    this.activate(driver, e, target);
+                }
+            }.bind(this);
+
+            var types = activations.map(function (activation) {
+                return activation.type;
+            }).filter(function (type, index, list) {
+                return list.indexOf(type) === index;
+            });
+
+            this.listen(elements, types, handler);
+        },
+
+        /**
+         * Bind delegated targets by legacy driver, when pointer or focus enters them
+         *
+         * @param {Array} elements delegation roots
+         * @param {ClipboardDriver} driver
+         */
+        addDelegates: function (elements, driver) {
+            var handler = function (e) {
+                var target = this.match(e);
+
+                if (target && this.delegated.indexOf(target) === -1) {
+                    this.delegated.push(target);
+                    driver.copy([target], this.proxy, this.options);
+                }
+            }.bind(this);
+
+            this.listen(elements, ['mouseover', 'focusin'], handler);
+        },
+
+        /**
+         * Add listener of given events types to elements
+         *
+         * @param {Array} elements
+         * @param {string[]} types
+         * @param {Function} handler
+         */
+        listen: function (elements, types, handler) {
+            elements.forEach(function (elem) {
+                types.forEach(function (type) {
+                    elem.addEventListener(type, handler, false);
+
+                    this.events.push({
+                        elem: elem,
+                        type: type,
+                        handler: handler
+                    });
+                }, this);
+            }, this);
+        },
+
+        /**
+         * Remove activation listeners from elements
+         *
+         * @param {Array} elements
+         */
+        removeListeners: function (elements) {
+            this.events = this.events.filter(function (item) {
+                if (elements.indexOf(item.elem) === -1) {
+                    return true;
+                }
+
+                item.elem.removeEventListener(item.type, item.handler, false);
+            });
+        },
+
+        /**
+         * Copy binding data by driver or by other driver, which can write all data formats,
+         * triggers beforecopy, then copy or error events on driver
+         *
+         * @param {ClipboardDriver} driver
+         * @param {Event} e activation event
+         * @param {HTMLElement} target activated element
+         */
+        activate: function (driver, e, target) {
+            var source = this.selector ? target : e.target,
+                data = driver.emitter.beforeCopy(driver.emitter.callbackToData(this.proxy, source), target, driver.name);
+
+            if (!data) {
+                return;
+            }
+
+            driver = writerFor(driver, data);
+
+            var emitter = driver.emitter;
+
+            var options = this.options;
+
+            writeBy(driver, data).then(function (formats) {
+                if (options.select && (options.target || options.source)) {
+                    selectSource(sourceElement(options.target || options.source, source));
+                }
+
+                emitter.trigger('copy', {
+                    clipboardType: driver.name,
+                    target: target,
+                    text: data['text/plain'],
+                    data: data,
+                    formats: formats
+                });
+            }, function (err) {
+                emitter.trigger('error', {
+                    clipboardType: driver.name,
+                    target: target,
+                    message: err.message,
+                    name: err.name
+                });
+            });
+        },
+
+        /**
+         * Replace copy callback
+         *
+         * @param {*} callback
+         * @returns {ClipboardBinding}
+         */
+        update: function (callback) {
+            if (!callback) {
+                throw new Error('Invalid arguments');
+            }
+
+            this.callback = callback;
+
+            return this;
+        },
+
+        /**
+         * Remove copy listeners from given elements
+         *
+         * @param {Array} elements
+         * @returns {ClipboardBinding}
+         */
+        unbind: function (elements) {
+            elements = elements.filter(function (elem) {
+                return this.elements.indexOf(elem) !== -1;
+            }, this);
+
+            if (!elements.length) {
+                return this;
+            }
+
+            var delegated = this.delegated.filter(function (target) {
+                return elements.some(function (root) {
+                    return root.contains(target);
+                });
+            });
+
+            this.removeListeners(elements);
+
+            Object.keys(ClipboardDriver.drivers).forEach(function (key) {
+                var driver = ClipboardDriver.get(key);
+
+                if (typeof driver.unbind === 'function') {
+                    driver.unbind(elements.concat(delegated), this.proxy);
+                }
+            }, this);
+
+            this.delegated = this.delegated.filter(function (target) {
+                return delegated.indexOf(target) === -1;
+            });
+
+            elements.forEach(function (elem) {
+                this.elements.splice(this.elements.indexOf(elem), 1);
+            }, this);
+
+            if (!this.elements.length && bindings.indexOf(this) !== -1) {
+                bindings.splice(bindings.indexOf(this), 1);
+            }
+
+            return this;
+        },
+
+        /**
+         * Remove all copy listeners of binding
+         */
+        destroy: function () {
+            this.unbind(this.elements.slice());
+        }
+    });
+
+    /**
+     * Get drivers with given method, current driver goes first, then drivers chain
+     *
+     * @param {String} method
+     * @returns {ClipboardDriver[]}
+     * @private
+     */
+    function driversWith(method) {
+        return [ClipboardDriver.using].concat(chainNames()).filter(function (name, index, list) {
+            return list.indexOf(name) === index && ClipboardDriver.has(name) && typeof ClipboardDriver.get(name)[method] === 'function';
+        }).map(function (name) {
+            return ClipboardDriver.get(name);
+        });
+    }
+
+    /**
+     * Write data by current driver or by first supported driver with write method,
+     * driver removed and next one used on support error, next one used without removing on format error
+     *
+     * @param {Object} data MIME types to values map
+     * @returns {Promise} resolved with copy ClipboardCustomEvent, rejected with error ClipboardCustomEvent
+     * @private
+     */
+    function writeData(data) {
+        var drivers = ClipboardFallback.driver ? driversWith('write') : [ ],
+            formats = Object.keys(data);
+
+        drivers = drivers.filter(function (driver) {
+            return canWrite(driver, formats);
+        }).concat(drivers.filter(function (driver) {
+            return !canWrite(driver, formats);
+        }));
+
+        var attempt = function (index) {
+            var driver = drivers[index];
+
+            if (!driver) {
+                return Promise.reject(new ClipboardCustomEvent('error', {
+                    message: 'Clipboard not supported',
+                    name: 'support'
+                }));
+            }
+
+            if (!driver.checkSupport()) {
+                return attempt(index + 1);
+            }
+
+            return writeBy(driver, data).then(function (formats) {
+                return new ClipboardCustomEvent('copy', {
+                    clipboardType: driver.name,
+                    text: data['text/plain'],
+                    data: data,
+                    formats: formats
+                });
+            }, function (err) {
+                if (err.name === 'support') {
+                    ClipboardDriver.remove(driver.name);
+
+                    return attempt(index + 1);
+                }
+
+                var event = new ClipboardCustomEvent('error', {
+                    clipboardType: driver.name,
+                    message: err.message,
+                    name: err.name
+                });
+
+                if (err.name === 'format' && drivers[index + 1]) {
+                    return attempt(index + 1).then(null, function (next) {
+                        throw next.name === 'support' ? event : next;
+                    });
+                }
+
+                throw event;
+            });
+        };
+
+        return attempt(0);
+    }
+
+    /**
+     * Read data by first supported driver with read method,
+     * next one used on support error
+     *
+     * @param {String} [type] read only given MIME type
+     * @returns {Promise} resolved with read ClipboardCustomEvent, rejected with error ClipboardCustomEvent
+     * @private
+     */
+    function readData(type) {
+        var drivers = driversWith('read');
+
+        var attempt = function (index) {
+            var driver = drivers[index];
+
+            if (!driver) {
+                return Promise.reject(new ClipboardCustomEvent('error', {
+                    message: 'Clipboard reading not supported',
+                    name: 'support'
+                }));
+            }
+
+            if (!driver.checkSupport()) {
+                return attempt(index + 1);
+            }
+
+            return driver.read(type).then(function (transfer) {
+                return new ClipboardCustomEvent('read', {
+                    clipboardType: driver.name,
+                    text: transfer.data['text/plain'],
+                    html: transfer.data['text/html'],
+                    data: transfer.data,
+                    files: transfer.files
+                });
+            }, function (err) {
+                if (err.name === 'support') {
+                    return attempt(index + 1);
+                }
+
+                throw new ClipboardCustomEvent('error', {
+                    clipboardType: driver.name,
+                    message: err.message,
+                    name: err.name
+                });
+            });
+        };
+
+        return attempt(0);
+    }
+
+    /**
+     * Trigger promise result event or error event
+     *
+     * @param {ClipboardEmitter} emitter
+     * @param {String} name resolved event name
+     * @param {Promise} promise resolved and rejected with ClipboardCustomEvent
+     * @returns {Promise}
+     * @private
+     */
+    function settle(emitter, name, promise) {
+        return promise.then(function (event) {
+            emitter.trigger(name, event);
+
+            return event;
+        }, function (event) {
+            emitter.trigger('error', event);
+
+            throw event;
+        });
+    }
+
+    /**
+     * Check element is form field with value
+     *
+     * @param {HTMLElement} elem
+     * @returns {Boolean}
+     * @private
+     */
+    function isField(elem) {
+        return /^(INPUT|TEXTAREA|SELECT)$/.test(elem.tagName);
+    }
+
+    /**
+     * Resolve copy source element
+     *
+     * @param {String|HTMLElement|Function} target selector, element or function, which gets activated element
+     * @param {HTMLElement} [trigger] activated element
+     * @returns {HTMLElement|null}
+     * @private
+     */
+    function sourceElement(target, trigger) {
+        if (typeof target === 'function') {
+            return target(trigger) || null;
+        }
+
+        return typeof target === 'string' ? doc.querySelector(target) : target || null;
+    }
+
+    /**
+     * Read copy data from source element,
+     * selection mode copies whole source if nothing is selected inside of it
+     *
+     * @param {HTMLElement|null} source
+     * @param {String} [mode] "value", "text", "html" or "selection"
+     * @returns {Object} MIME types to values map
+     * @private
+     */
+    function readSource(source, mode) {
+        if (!source) {
+            return { 'text/plain': '' };
+        }
+
+        var field = isField(source),
+            selection = scope.getSelection ? scope.getSelection() : null,
+            range,
+            container;
+
+        if (mode === 'selection' && field && typeof source.selectionStart === 'number' && source.selectionStart !== source.selectionEnd) {
+            return { 'text/plain': source.value.slice(source.selectionStart, source.selectionEnd) };
+        }
+
+        if (mode === 'selection' && !field && selection && selection.rangeCount && !selection.isCollapsed) {
+            range = selection.getRangeAt(0);
+
+            if (source.contains(range.commonAncestorContainer)) {
+                container = doc.createElement('div');
+                container.appendChild(range.cloneContents());
+
+                return { 'text/plain': selection.toString(), 'text/html': container.innerHTML };
+            }
+        }
+
+        if (field) {
+            return { 'text/plain': source.value };
+        }
+
+        if (mode === 'html' || mode === 'selection') {
+            return { 'text/plain': source.textContent, 'text/html': source.innerHTML };
+        }
+
+        return { 'text/plain': source.textContent };
+    }
+
+    /**
+     * Resolve relative url by document base url
+     *
+     * @param {String} url
+     * @returns {String}
+     * @private
+     */
+    function resolveUrl(url) {
+        var link = doc.createElement('a');
+
+        link.href = url;
+
+        return link.href;
+    }
+
+    /**
+     * Inline computed styles and resolve urls of element copy
+     *
+     * @param {HTMLElement} elem original element
+     * @param {HTMLElement} copy cloned element
+     * @param {CSSStyleDeclaration} [parentStyle] computed style of original parent
+     * @param {String} [exclude] selector of removed elements
+     * @private
+     */
+    function inlineElement(elem, copy, parentStyle, exclude) {
+        var style = scope.getComputedStyle(elem),
+            inline = [ ];
+
+        richStyles.forEach(function (name) {
+            var value = style.getPropertyValue(name),
+                blank = !value || value === 'transparent' || value === 'rgba(0, 0, 0, 0)' || (name === 'background-image' && value === 'none');
+
+            if (!blank && !(parentStyle && inheritedStyles.indexOf(name) !== -1 && parentStyle.getPropertyValue(name) === value)) {
+                inline.push(name + ': ' + value);
+            }
+        });
+
+        toArray(copy.attributes).forEach(function (attribute) {
+            if (/^on/i.test(attribute.name) || attribute.name.indexOf('data-clipboard-') === 0) {
+                copy.removeAttribute(attribute.name);
+            }
+        });
+
+        urlAttributes.forEach(function (name) {
+            if (copy.hasAttribute(name)) {
+                copy.setAttribute(name, resolveUrl(copy.getAttribute(name)));
+            }
+        });
+
+        if (copy.hasAttribute('srcset')) {
+            copy.setAttribute('srcset', copy.getAttribute('srcset').split(',').map(function (candidate) {
+                var parts = candidate.trim().split(/\s+/);
+
+                parts[0] = resolveUrl(parts[0]);
+
+                return parts.join(' ');
+            }).join(', '));
+        }
+
+        copy.removeAttribute('class');
+        copy.removeAttribute('style');
+
+        if (inline.length) {
+            copy.setAttribute('style', inline.join('; '));
+        }
+
+        toArray(elem.children).forEach(function (child, index) {
+            var childCopy = copy.children[index];
+
+            var removed = /^(SCRIPT|STYLE|TEMPLATE|NOSCRIPT)$/.test(child.tagName) || (exclude && matchesSelector(child, exclude)) ||
+                scope.getComputedStyle(child).display === 'none';
+
+            if (removed) {
+                childCopy.setAttribute('data-clipboard-remove', '');
+            } else if (isField(child)) {
+                if (child.tagName === 'TEXTAREA') {
+                    childCopy.textContent = child.value;
+                } else {
+                    childCopy.setAttribute('value', child.value);
+                }
+
+                inlineElement(child, childCopy, style, exclude);
+            } else {
+                inlineElement(child, childCopy, style, exclude);
+            }
+        });
+    }
+
+    /**
+     * Get rendered text of detached element, element is rendered offscreen
+     *
+     * @param {HTMLElement} elem
+     * @returns {String}
+     * @private
+     */
+    function renderedText(elem) {
+        var container = doc.createElement('div'),
+            text;
+
+        container.style.position = 'fixed';
+        container.style.left = '-10000px';
+        container.style.top = '-10000px';
+        container.appendChild(elem);
+
+        doc.body.appendChild(container);
+        text = typeof elem.innerText === 'string' ? elem.innerText : elem.textContent;
+        doc.body.removeChild(container);
+
+        container.removeChild(elem);
+
+        return text;
+    }
+
+    /**
+     * Serialize element to html with inlined computed styles and resolved urls,
+     * and to rendered plain text without excluded elements
+     *
+     * @param {HTMLElement} source
+     * @param {String} [exclude] selector of removed elements
+     * @param {Function} [transform] changes copy with inlined styles, removed elements are marked by data-clipboard-remove
+     * @returns {Object} MIME types to values map
+     * @private
+     */
+    function richData(source, exclude, transform) {
+        var copy = source.cloneNode(true);
+
+        inlineElement(source, copy, source.parentElement ? scope.getComputedStyle(source.parentElement) : null, exclude);
+
+        if (transform) {
+            transform(copy);
+        }
+
+        toArray(copy.querySelectorAll('[data-clipboard-remove]')).forEach(function (elem) {
+            elem.parentNode.removeChild(elem);
+        });
+
+        return {
+            'text/plain': renderedText(copy),
+            'text/html': copy.outerHTML
+        };
+    }
+
+    /**
+     * Escape html special characters
+     *
+     * @param {String} text
+     * @returns {String}
+     * @private
+     */
+    function escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Escape separated value, values with separator, newlines or quotes are quoted
+     *
+     * @param {String} text
+     * @param {String} separator
+     * @returns {String}
+     * @private
+     */
+    function escapeField(text, separator) {
+        return /[\n\r"]/.test(text) || text.indexOf(separator) !== -1 ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    /**
+     * Convert table cell value to string
+     *
+     * @param {*} value
+     * @returns {String}
+     * @private
+     */
+    function cellText(value) {
+        if (value && value.nodeType === 1) {
+            return (typeof value.innerText === 'string' ? value.innerText : value.textContent).trim();
+        }
+
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        return typeof value === 'object' ? JSON.stringify(value) : '' + value;
+    }
+
+    /**
+     * Get rows of table element or of array with row objects or arrays,
+     * row objects keys are used as header row
+     *
+     * @param {HTMLTableElement|Array} value
+     * @returns {Array} rows with source, header flag and cells list
+     * @private
+     */
+    function tableRows(value) {
+        if (value.tagName === 'TABLE') {
+            return toArray(value.rows).map(function (row) {
+                var head = row.parentNode.tagName === 'THEAD';
+
+                return {
+                    source: row,
+                    header: head || toArray(row.cells).every(function (cell) {
+                        return cell.tagName === 'TH';
+                    }),
+                    cells: toArray(row.cells).map(function (cell) {
+                        return {
+                            text: cellText(cell),
+                            header: head || cell.tagName === 'TH',
+                            rowspan: Math.max(cell.rowSpan, 1),
+                            colspan: Math.max(cell.colSpan, 1)
+                        };
+                    })
+                };
+            });
+        }
+
+        var keys = value.reduce(function (result, row) {
+            return Array.isArray(row) || !row || typeof row !== 'object' ? result : result.concat(Object.keys(row).filter(function (key) {
+                return result.indexOf(key) === -1;
+            }));
+        }, [ ]);
+
+        var toCell = function (text, header) {
+            return { text: cellText(text), header: header, rowspan: 1, colspan: 1 };
+        };
+
+        var rows = value.map(function (row) {
+            return {
+                source: row,
+                header: false,
+                cells: Array.isArray(row) ? row.map(function (item) {
+                    return toCell(item, false);
+                }) : keys.map(function (key) {
+                    return toCell(row[key], false);
+                })
+            };
+        });
+
+        if (keys.length) {
+            rows.unshift({
+                source: null,
+                header: true,
+                cells: keys.map(function (key) {
+                    return toCell(key, true);
+                })
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Place rows cells to grid, spanned cells take all their slots
+     *
+     * @param {Array} rows
+     * @returns {Array} grid rows of cells, each cell has row and col position of its first slot
+     * @private
+     */
+    function tableGrid(rows) {
+        var grid = rows.map(function () {
+            return [ ];
+        });
+
+        rows.forEach(function (row, r) {
+            var c = 0;
+
+            row.cells.forEach(function (cell) {
+                while (grid[r][c]) {
+                    c++;
+                }
+
+                cell.row = r;
+                cell.col = c;
+
+                for (var i = 0; i < cell.rowspan && r + i < grid.length; i++) {
+                    for (var j = 0; j < cell.colspan; j++) {
+                        grid[r + i][c + j] = cell;
+                    }
+                }
+
+                c += cell.colspan;
+            });
+        });
+
+        var width = grid.reduce(function (result, row) {
+            return Math.max(result, row.length);
+        }, 0);
+
+        return grid.map(function (row, r) {
+            for (var c = 0; c < width; c++) {
+                row[c] = row[c] || { text: '', header: rows[r].header, rowspan: 1, colspan: 1, row: r, col: c };
+            }
+
+            return row;
+        });
+    }
+
+    /**
+     * Get copied table layout: kept rows of kept columns slots,
+     * spanned cell is placed to its first kept slot with spans counted by kept rows and columns
+     *
+     * @param {HTMLTableElement|Array} value
+     * @param {Object} [options]
+     * @param {Array} [options.columns] copied columns indexes or header texts
+     * @param {Function} [options.filter] copied rows filter, gets row element or object and its index
+     * @param {Boolean} [options.selection] copy only table rows with selected content, if any
+     * @param {Boolean} [options.headers] copy header rows, true by default
+     * @returns {Array} rows of {cell, first, rowspan, colspan} slots
+     * @private
+     */
+    function tableLayout(value, options) {
+        options = options || { };
+
+        var rows = tableRows(value),
+            grid = tableGrid(rows),
+            header = rows.filter(function (row) {
+                return row.header;
+            })[0],
+            selection = scope.getSelection ? scope.getSelection() : null,
+            selected = [ ],
+            index = 0;
+
+        if (options.selection && selection && selection.rangeCount && !selection.isCollapsed) {
+            selected = rows.filter(function (row) {
+                return !row.header && row.source && row.source.nodeType === 1 && selection.getRangeAt(0).intersectsNode(row.source);
+            });
+        }
+
+        var keptRows = [ ];
+
+        rows.forEach(function (row, r) {
+            var kept = row.header ? options.headers !== false :
+                (!selected.length || selected.indexOf(row) !== -1) &&
+                (typeof options.filter !== 'function' || options.filter(row.source, index));
+
+            index += row.header ? 0 : 1;
+
+            if (kept) {
+                keptRows.push(r);
+            }
+        });
+
+        var keptCols = (grid[0] || [ ]).map(function (cell, c) {
+            return c;
+        });
+
+        if (options.columns) {
+            keptCols = options.columns.map(function (column) {
+                return typeof column === 'number' ? column : header ? grid[rows.indexOf(header)].map(function (cell) {
+                    return cell.text;
+                }).indexOf('' + column) : -1;
+            }).filter(function (column, i, list) {
+                return column >= 0 && column < keptCols.length && list.indexOf(column) === i;
+            }).sort(function (a, b) {
+                return a - b;
+            });
+        }
+
+        var countIn = function (list, from, to) {
+            return list.filter(function (item) {
+                return item >= from && item < to;
+            }).length;
+        };
+
+        return keptRows.map(function (r) {
+            return keptCols.map(function (c) {
+                var cell = grid[r][c];
+
+                return {
+                    cell: cell,
+                    first: countIn(keptRows, cell.row, r) === 0 && countIn(keptCols, cell.col, c) === 0,
+                    rowspan: countIn(keptRows, cell.row, cell.row + cell.rowspan),
+                    colspan: countIn(keptCols, cell.col, cell.col + cell.colspan)
+                };
+            });
+        });
+    }
+
+    /**
+     * Serialize table element or array of row objects or arrays
+     * to tab separated text and html table
+     *
+     * @param {HTMLTableElement|Array} value
+     * @param {Object} [options] table layout options
+     * @returns {Object} MIME types to values map
+     * @private
+     */
+    function tableData(value, options) {
+        var layout = tableLayout(value, options);
+
+        var text = layout.map(function (row) {
+            return row.map(function (slot) {
+                return slot.first ? escapeField(slot.cell.text, '\t') : '';
+            }).join('\t');
+        }).join('\n');
+
+        var html = layout.map(function (row) {
+            return '<tr>' + row.map(function (slot) {
+                var tag = slot.cell.header ? 'th' : 'td';
+
+                if (!slot.first) {
+                    return '';
+                }
+
+                return '<' + tag + (slot.rowspan > 1 ? ' rowspan="' + slot.rowspan + '"' : '') + (slot.colspan > 1 ? ' colspan="' + slot.colspan + '"' : '') + '>' +
+                    escapeHtml(slot.cell.text).replace(/\r?\n/g, '<br>') + '</' + tag + '>';
+            }).join('') + '</tr>';
+        }).join('');
+
+        return {
+            'text/plain': text,
+            'text/html': '<table>' + html + '</table>'
+        };
+    }
+
+    /**
+     * Get image source element: canvas, img or svg element or first of them inside of element
+     *
+     * @param {*} value
+     * @returns {HTMLElement|null}
+     * @private
+     */
+    function imageSource(value) {
+        if (!value || value.nodeType !== 1) {
+            return null;
+        }
+
+        return /^(CANVAS|IMG|SVG)$/.test(value.tagName.toUpperCase()) ? value : value.querySelector('canvas, img, svg');
+    }
+
+    /**
+     * Get svg element as data url
+     *
+     * @param {SVGElement} svg
+     * @returns {String}
+     * @private
+     */
+    function svgUrl(svg) {
+        var copy = svg.cloneNode(true);
+
+        copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+
+        return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(new XMLSerializer().serializeToString(copy));
+    }
+
+    /**
+     * Get image source size
+     *
+     * @param {HTMLElement} source canvas, img or svg element
+     * @returns {{width: Number, height: Number}}
+     * @private
+     */
+    function imageSize(source) {
+        var tag = source.tagName.toUpperCase(),
+            rect = source.getBoundingClientRect();
+
+        if (tag === 'CANVAS') {
+            return { width: source.width, height: source.height };
+        }
+
+        if (tag === 'IMG') {
+            return { width: source.naturalWidth, height: source.naturalHeight };
+        }
+
+        return {
+            width: rect.width || parseFloat(source.getAttribute('width')) || 300,
+            height: rect.height || parseFloat(source.getAttribute('height')) || 150
+        };
+    }
+
+    /**
+     * Load image source to drawable image
+     *
+     * @param {HTMLElement} source canvas, img or svg element
+     * @returns {Promise} resolved with canvas or loaded image
+     * @private
+     */
+    function loadImage(source) {
+        var tag = source.tagName.toUpperCase(),
+            image = source;
+
+        if (tag === 'CANVAS' || (tag === 'IMG' && source.complete && source.naturalWidth)) {
+            return Promise.resolve(source);
+        }
+
+        if (tag === 'IMG' && source.complete) {
+            return Promise.reject(clipboardError('image-error', 'Image loading failed'));
+        }
+
+        if (tag !== 'IMG') {
+            image = new Image();
+            image.src = svgUrl(source);
+        }
+
+        return new Promise(function (resolve, reject) {
+            image.addEventListener('load', function () {
+                resolve(image);
+            }, false);
+
+            image.addEventListener('error', function () {
+                reject(clipboardError('image-error', 'Image loading failed'));
+            }, false);
+        });
+    }
+
+    /**
+     * Get canvas PNG
+     *
+     * @param {HTMLCanvasElement} canvas
+     * @returns {Promise} resolved with PNG Blob
+     * @private
+     */
+    function canvasBlob(canvas) {
+        return new Promise(function (resolve, reject) {
+            canvas.toBlob(function (blob) {
+                return blob ? resolve(blob) : reject(clipboardError('image-error', 'Image rasterizing failed'));
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Rasterize canvas, img or svg element to PNG,
+     * tainted by cross-origin images canvas is rejected with image-error
+     *
+     * @param {HTMLElement} source
+     * @param {Number} [scale] pixels ratio, 1 by default
+     * @returns {Promise} resolved with PNG Blob
+     * @private
+     */
+    function rasterize(source, scale) {
+        var promise;
+
+        scale = scale || 1;
+
+        if (source.tagName.toUpperCase() === 'CANVAS' && scale === 1) {
+            promise = canvasBlob(source);
+        } else {
+            promise = loadImage(source).then(function (image) {
+                var canvas = doc.createElement('canvas'),
+                    size = imageSize(source);
+
+                canvas.width = Math.round(size.width * scale);
+                canvas.height = Math.round(size.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                return canvasBlob(canvas);
+            });
+        }
+
+        return promise.then(null, function (err) {
+            throw err.name === 'image-error' ? err : clipboardError('image-error', err.message);
+        });
+    }
+
+    /**
+     * Get html fallback of image source
+     *
+     * @param {HTMLElement} source canvas, img or svg element
+     * @param {String} alt
+     * @returns {String}
+     * @private
+     */
+    function imageHtml(source, alt) {
+        var tag = source.tagName.toUpperCase(),
+            src;
+
+        try {
+            src = tag === 'CANVAS' ? source.toDataURL('image/png') : tag === 'IMG' ? resolveUrl(source.getAttribute('src')) : svgUrl(source);
+        } catch (err) {
+            return escapeHtml(alt);
+        }
+
+        if (!src) {
+            return escapeHtml(alt);
+        }
+
+        return '<img src="' + escapeHtml(src) + '" alt="' + escapeHtml(alt) + '">';
+    }
+
+    /**
+     * Get table element or rows array of table serializers value
+     *
+     * @param {*} value table, element containing table or rows array
+     * @returns {HTMLTableElement|Array|null}
+     * @private
+     */
+    function tableSource(value) {
+        if (Array.isArray(value) || (value && value.tagName === 'TABLE')) {
+            return value;
+        }
+
+        return value && value.nodeType === 1 ? value.querySelector('table') : null;
+    }
+
+    /**
+     * Serializers of non-string copy values by name,
+     * serializer gets value and binding options, returns string or MIME types to values map
+     *
+     * @type {Object}
+     * @private
+     */
+    var serializers = {
+        json: function (value, options) {
+            var json = JSON.stringify(value, null, options.indent === undefined ? 2 : options.indent);
+
+            return { 'text/plain': json, 'application/json': json };
+        },
+
+        csv: function (value, options) {
+            var source = tableSource(value);
+
+            if (!source) {
+                return value;
+            }
+
+            var csv = tableLayout(source, options).map(function (row) {
+                return row.map(function (slot) {
+                    return slot.first ? escapeField(slot.cell.text, ',') : '';
+                }).join(',');
+            }).join('\r\n');
+
+            return { 'text/plain': csv, 'text/csv': csv };
+        },
+
+        query: function (value) {
+            if (!value || typeof value !== 'object') {
+                return value;
+            }
+
+            return Object.keys(value).reduce(function (pairs, key) {
+                [ ].concat(value[key]).forEach(function (item) {
+                    if (item !== null && item !== undefined) {
+                        pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(cellText(item)));
+                    }
+                });
+
+                return pairs;
+            }, [ ]).join('&');
+        },
+
+        locale: function (value, options) {
+            if (value instanceof Date || typeof value === 'number') {
+                return value.toLocaleString(options.locale, options.localeOptions);
+            }
+
+            return value;
+        },
+
+        table: function (value, options) {
+            var source = tableSource(value);
+
+            return source ? tableData(source, options) : value;
+        },
+
+        rich: function (value, options) {
+            return value && value.nodeType === 1 ? richData(value, options.exclude) : value;
+        },
+
+        image: function (value, options) {
+            var source = imageSource(value);
+
+            if (!source) {
+                return value;
+            }
+
+            var alt = source.getAttribute('alt') || source.getAttribute('aria-label') || source.getAttribute('title') || '',
+                png = rasterize(source, options.scale);
+
+            // PNG is not used, if copy is prevented or images are not supported
+            png.then(null, function () { });
+
+            var data = {
+                'image/png': png,
+                'text/html': imageHtml(source, alt)
+            };
+
+            if (alt) {
+                data['text/plain'] = alt;
+            }
+
+            return data;
+        }
+    };
+
+    /**
+     * Get serializer function
+     *
+     * @param {String|Function} [serializer] serializer name or function
+     * @returns {Function|null}
+     * @private
+     */
+    function serializerOf(serializer) {
+        if (typeof serializer === 'string' && typeof serializers[serializer] !== 'function') {
+            throw Error('Serializer "'+ serializer +'" is not defined');
+        }
+
+        return typeof serializer === 'string' ? serializers[serializer] : serializer || null;
+    }
+
+    /**
+     * Serialize copy value, strings and MIME types maps are not serialized
+     *
+     * @param {*} value
+     * @param {String|Function} serializer serializer name or function
+     * @param {Object} [options] serializer options
+     * @returns {*} string or MIME types to values map
+     * @private
+     */
+    function serialize(value, serializer, options) {
+        options = options || { };
+
+        var fn = serializerOf(serializer);
+
+        if (!fn || typeof value === 'string' || isFormatsMap(value)) {
+            return value;
+        }
+
+        return fn(value, options);
+    }
+
+    /**
+     * Select and focus source element contents
+     *
+     * @param {HTMLElement|null} source
+     * @private
+     */
+    function selectSource(source) {
+        if (!source) {
+            return;
+        }
+
+        if (isField(source) && typeof source.select === 'function') {
+            source.focus();
+            source.select();
+
+            return;
+        }
+
+        var selection = scope.getSelection(),
+            range = doc.createRange();
+
+        range.selectNodeContents(source);
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    /**
+     * Get selected or whole content of editable element
+     *
+     * @param {HTMLElement} elem input, textarea or contenteditable element
+     * @param {Boolean} [all] get whole content ignoring selection
+     * @returns {{data: Object, select: Function}} content formats map and function restoring its selection
+     * @private
+     */
+    function editableContent(elem, all) {
+        var selection = scope.getSelection(),
+            range = selection && selection.rangeCount ? selection.getRangeAt(0) : null,
+            container = doc.createElement('div'),
+            start = elem.selectionStart,
+            end = elem.selectionEnd,
+            selectable = typeof start === 'number';
+
+        if (isField(elem)) {
+            if (all || !selectable || start === end) {
+                start = 0;
+                end = elem.value.length;
+            }
+
+            return {
+                data: { 'text/plain': elem.value.slice(start, end) },
+                select: function () {
+                    elem.focus();
+
+                    // Number, email and some other inputs have no selection API
+                    if (selectable) {
+                        elem.setSelectionRange(start, end);
+                    } else {
+                        elem.select();
+                    }
+                }
+            };
+        }
+
+        if (all || !range || range.collapsed || !elem.contains(range.commonAncestorContainer)) {
+            range = doc.createRange();
+            range.selectNodeContents(elem);
+        }
+
+        container.appendChild(range.cloneContents());
+
+        return {
+            data: { 'text/plain': range.toString(), 'text/html': container.innerHTML },
+            select: function () {
+                var selection = scope.getSelection();
+
+                elem.focus();
+                selection.removeAllRanges();
+                selection.addRange(range);
+            }
+        };
+    }
+
+    /**
+     * Get copy data from element data attributes:
+     * data-clipboard-text static text, data-clipboard-target source element selector,
+     * data-clipboard-format="html" copies html too, "rich" copies html with inlined styles
+     *
+     * @param {HTMLElement} elem
+     * @returns {Object} MIME types to values map
+     * @private
+     */
+    function attributeData(elem) {
+        var text = elem.getAttribute('data-clipboard-text') || '',
+            selector = elem.getAttribute('data-clipboard-target'),
+            format = elem.getAttribute('data-clipboard-format'),
+            html = format === 'html';
+
+        if (selector && format === 'rich') {
+            return serialize(doc.querySelector(selector), 'rich');
+        }
+
+        if (selector) {
+            return readSource(doc.querySelector(selector), html ? 'html' : 'value');
+        }
+
+        if (!html) {
+            return { 'text/plain': text };
+        }
+
+        var parsed = doc.implementation.createHTMLDocument('').body;
+
+        parsed.innerHTML = text;
+
+        return { 'text/plain': parsed.textContent, 'text/html': text };
+    }
+
+    /**
+     * Data attributes bindings of root subtree,
+     * bindings follow added, removed and changed elements
+     *
+     * @param {HTMLElement|Document} root
+     * @constructor
+     */
+    var ClipboardAutoBind = function (root) {
+        defineProperties(this, {
+            root: root,
+            elements: [ ],
+            bindings: [ ],
+            observer: null
+        });
+    };
+
+    defineProperties(ClipboardAutoBind.prototype, {
+        /**
+         * Bind node and its descendants with data attributes
+         *
+         * @param {HTMLElement|Document} node
+         * @returns {ClipboardAutoBind}
+         */
+        scan: function (node) {
+            var elements = toArray(node.querySelectorAll(autoBindSelector));
+
+            if (matchesSelector(node, autoBindSelector)) {
+                elements.unshift(node);
+            }
+
+            elements.forEach(function (elem) {
+                if (this.elements.indexOf(elem) !== -1) {
+                    return;
+                }
+
+                this.elements.push(elem);
+                this.bindings.push(ClipboardBase.parent.copy(elem, function () {
+                    return attributeData(elem);
+                }));
+            }, this);
+
+            return this;
+        },
+
+        /**
+         * Unbind node and its bound descendants
+         *
+         * @param {Node} node
+         * @param {Boolean} [self] unbind only node itself
+         * @returns {ClipboardAutoBind}
+         */
+        release: function (node, self) {
+            this.elements.slice().forEach(function (elem) {
+                if (elem === node || (!self && node.contains(elem))) {
+                    var index = this.elements.indexOf(elem);
+
+                    this.bindings[index].destroy();
+                    this.elements.splice(index, 1);
+                    this.bindings.splice(index, 1);
+                }
+            }, this);
+
+            return this;
+        },
+
+        /**
+         * Watch root subtree changes
+         *
+         * @returns {ClipboardAutoBind}
+         */
+        observe: function () {
+            if (typeof scope.MutationObserver !== 'function') {
+                return this;
+            }
+
+            this.observer = new scope.MutationObserver(function (records) {
+                records.forEach(function (record) {
+                    if (record.type === 'attributes') {
+                        return matchesSelector(record.target, autoBindSelector) ?
+                            this.scan(record.target) :
+                            this.release(record.target, true);
+                    }
+
+                    toArray(record.removedNodes).forEach(function (node) {
+                        this.release(node);
+                    }, this);
+
+                    toArray(record.addedNodes).forEach(function (node) {
+                        if (node.nodeType === 1 && this.root.contains(node)) {
+                            this.scan(node);
+                        }
+                    }, this);
+                }, this);
+            }.bind(this));
+
+            this.observer.observe(this.root, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: ['data-clipboard-text', 'data-clipboard-target']
+            });
+
+            return this;
+        },
+
+        /**
+         * Stop watching and remove all bindings
+         */
+        destroy: function () {
+            if (this.observer) {
+                this.observer.disconnect();
+            }
+
+            this.release(this.root);
+
+            if (autoBinds.indexOf(this) !== -1) {
+                autoBinds.splice(autoBinds.indexOf(this), 1);
+            }
+        }
+    });
+
+    /**
+     * Get selector of elements removed from copied code block
+     *
+     * @param {Object} options code blocks options
+     * @returns {String}
+     * @private
+     */
+    function codeExclude(options) {
+        return [options.exclude, options.buttonClass && '.' + options.buttonClass].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Get offsets of code characters removed on copying:
+     * diff markers, prompts of shell commands and optionally output lines with their line breaks
+     *
+     * @param {String} text
+     * @param {Object} rules
+     * @param {Boolean} [rules.diff] strip diff markers
+     * @param {RegExp} [rules.prompts] strip prompts
+     * @param {Boolean} [rules.outputs] keep lines, which are not prompted or continued
+     * @returns {Boolean[]} removed flags by offsets
+     * @private
+     */
+    function codeRemovals(text, rules) {
+        var removed = [ ],
+            offset = 0,
+            continued = false,
+            kept = false;
+
+        var remove = function (start, end) {
+            for (var i = start; i < end; i++) {
+                removed[i] = true;
+            }
+        };
+
+        text.split('\n').forEach(function (line) {
+            var start = offset,
+                marker = rules.diff && /^[+\- ]/.test(line) ? 1 : 0,
+                body = line.slice(marker),
+                prompt = rules.prompts ? rules.prompts.exec(body) : null,
+                command = continued || Boolean(prompt);
+
+            offset += line.length + 1;
+
+            if (rules.prompts) {
+                // Lines after trailing backslash continue the command
+                continued = command && /\\$/.test(body);
+
+                if (!command && !rules.outputs) {
+                    return kept ? remove(start - 1, start + line.length) : remove(start, start + line.length + 1);
+                }
+            }
+
+            kept = true;
+
+            remove(start, start + marker);
+
+            if (prompt) {
+                remove(start + marker + prompt.index, start + marker + prompt.index + prompt[0].length);
+            }
+        });
+
+        return removed;
+    }
+
+    /**
+     * Remove flagged characters of text
+     *
+     * @param {String} text
+     * @param {Boolean[]} removed removed flags by offsets
+     * @param {Number} offset text offset
+     * @returns {String}
+     * @private
+     */
+    function stripText(text, removed, offset) {
+        return text.split('').filter(function (char, index) {
+            return !removed[offset + index];
+        }).join('');
+    }
+
+    /**
+     * Get text nodes of element copy, which are not inside of removed elements
+     *
+     * @param {HTMLElement} elem
+     * @returns {Text[]}
+     * @private
+     */
+    function textNodes(elem) {
+        return toArray(elem.childNodes).reduce(function (nodes, node) {
+            if (node.nodeType === 3) {
+                return nodes.concat(node);
+            }
+
+            return node.nodeType === 1 && !node.hasAttribute('data-clipboard-remove') ? nodes.concat(textNodes(node)) : nodes;
+        }, [ ]);
+    }
+
+    /**
+     * Get code block clean text and optionally highlighted html:
+     * excluded gutters and tooltips are removed, diff markers are stripped,
+     * prompts are stripped from shell commands and output lines are optionally removed,
+     * html text is cleaned same way
+     *
+     * @param {HTMLElement} code
+     * @param {Object} options code blocks options
+     * @returns {Object} MIME types to values map
+     * @private
+     */
+    function codeData(code, options) {
+        var copy = code.cloneNode(true),
+            pre = code.parentNode,
+            classes = code.className + ' ' + pre.className,
+            diff = options.diff === undefined ? /\bdiff\b|language-diff/.test(classes) : options.diff,
+            shell = options.shell === undefined ? /\b(language-)?(shell|console|bash|sh|shell-session)\b/.test(classes) : options.shell,
+            exclude = codeExclude(options),
+            prompts = options.prompts === true ? codeBlockDefaults.prompts : options.prompts,
+            rules = { diff: diff, prompts: shell && prompts, outputs: options.outputs },
+            data = { },
+            text;
+
+        toArray(exclude ? copy.querySelectorAll(exclude) : []).forEach(function (elem) {
+            elem.parentNode.removeChild(elem);
+        });
+
+        text = copy.textContent.replace(/\n$/, '');
+
+        data['text/plain'] = stripText(text, codeRemovals(text, rules), 0);
+
+        if (options.html) {
+            data['text/html'] = richData(pre, exclude, function (richPre) {
+                var nodes = textNodes(richPre.children[toArray(pre.children).indexOf(code)]),
+                    removed = codeRemovals(nodes.map(function (item) {
+                        return item.data;
+                    }).join(''), rules),
+                    offset = 0;
+
+                nodes.forEach(function (item) {
+                    var length = item.data.length;
+
+                    item.data = stripText(item.data, removed, offset);
+                    offset += length;
+                });
+            })['text/html'];
+        }
+
+        return data;
+    }
+
+    /**
+     * Copy buttons injected into code blocks of root subtree
+     *
+     * @param {HTMLElement|Document} root
+     * @param {Object} options code blocks options
+     * @constructor
+     */
+    var ClipboardCodeBlocks = function (root, options) {
+        defineProperties(this, {
+            root: root,
+            options: options,
+            elements: [ ],
+            bindings: [ ]
+        });
+    };
+
+    defineProperties(ClipboardCodeBlocks.prototype, {
+        /**
+         * Inject copy buttons into not processed code blocks
+         *
+         * @returns {ClipboardCodeBlocks}
+         */
+        scan: function () {
+            var options = this.options;
+
+            toArray(this.root.querySelectorAll(options.selector)).forEach(function (code) {
+                var pre = code.parentNode,
+                    button = doc.createElement('button');
+
+                if (pre.hasAttribute('data-clipboard-code')) {
+                    return;
+                }
+
+                button.type = 'button';
+                button.className = options.buttonClass;
+                button.textContent = options.buttonText;
+
+                pre.setAttribute('data-clipboard-code', '');
+                pre.appendChild(button);
+
+                this.elements.push(button);
+                this.bindings.push(ClipboardBase.parent.copy(button, function () {
+                    return codeData(code, options);
+                }, { on: options.on }));
+            }, this);
+
+            return this;
+        },
+
+        /**
+         * Remove copy buttons and their bindings
+         */
+        destroy: function () {
+            this.bindings.forEach(function (binding) {
+                binding.destroy();
+            });
+
+            this.elements.forEach(function (button) {
+                button.parentNode.removeAttribute('data-clipboard-code');
+                button.parentNode.removeChild(button);
+            });
+
+            this.elements.length = 0;
+            this.bindings.length = 0;
+
+            if (codeBlocks.indexOf(this) !== -1) {
+                codeBlocks.splice(codeBlocks.indexOf(this), 1);
+            }
+        }
+    });
+
+    /**
+     * External interface Clipboard lib
+     *
+     * @type {{copy: Function, serializer: Function, autoBind: Function, codeBlocks: Function, unbind: Function, paste: Function, cut: Function, write: Function, writeText: Function, read: Function, readText: Function, supports: Function, config: Function, destroy: Function}}
+     */
+    var ClipboardAPI = {
 
         /**
          * Set callback text to buffer on click
          *
          * @param {String|Array|HTMLElement|HTMLCollection} elem
-         * @param {*} callback
+         * @param {*} callback copy value or function, can be null if source element is given
+         * @param {Object} [options]
+         * @param {String|HTMLElement|Function} [options.target] copy source element, "source" alias can be used
+         * @param {String} [options.mode] source "value", "text", "html" or "selection"
+         * @param {String|Function} [options.serialize] serializer name or function of non-string callback values
+         * @param {String} [options.format] serializer name alias, "rich" copies source html with inlined computed styles,
+         * "table" copies table source or callback rows array as tab separated text and html table
+         * @param {Array} [options.columns] table format copied columns indexes or header texts
+         * @param {Function} [options.filter] table format copied rows filter
+         * @param {Boolean} [options.selection] table format copies only rows with selected content
+         * @param {Boolean} [options.headers] table format copies header rows, true by default
+         * @param {Boolean} [options.select] select source after copying
+         * @param {String|Array} [options.on] activation events, e.g. ['click', 'keydown:Enter']
+         * @param {Boolean} [options.delegate] listen root and match elem selector on activation
+         * @param {String|HTMLElement} [options.root] delegation root, document by default
+         * @returns {ClipboardBinding}
+         */
+        copy: function (elem, callback, options) {
+            options = options || { };
+
+            if (!elem || !(callback || options.target || options.source)) {
+                throw new Error('Invalid arguments');
+            }
+
+            if (!callback) {
+                callback = function (e) {
+                    var source = sourceElement(options.target || options.source, e.target);
+
+                    return options.serialize || options.format ? source : readSource(source, options.mode);
+                };
+            }
+
+            serializerOf(options.serialize || options.format);
+
+            if (options.delegate && typeof elem !== 'string') {
+                throw new Error('Invalid arguments');
+            }
+
+            var binding = options.delegate ?
+                new ClipboardBinding(options.root ? toElements(options.root).slice() : [doc], callback, options, elem) :
+                new ClipboardBinding(toElements(elem).slice(), callback, options);
+
+            var driver = ClipboardFallback.driver;
+
+            bindings.push(binding);
+
+            if (driver) {
+                binding.attach(driver);
+            }
+
+            return binding;
+        },
+
+        /**
+         * Register serializer of non-string copy values, used by serialize option
+         *
+         * @param {String} name
+         * @param {Function} serializer gets value and options, returns string or MIME types to values map
          * @returns {ClipboardAPI}
          */
-        copy: function (elem, callback) {
-            if (!elem || !callback) {
+        serializer: function (name, serializer) {
+            if (typeof name !== 'string' || typeof serializer !== 'function') {
                 throw new Error('Invalid arguments');
             }
 
-            var args = toArray(arguments);
-            args.splice(0, 1, toElements(elem));
+            serializers[name] = serializer;
 
-            if (ClipboardDriver.using === undefined) {
-                var base = ClipboardDriver.get(globalConfig.baseDriver);
-                base.copy.apply(base, args);
+            return this;
+        },
 
-                if (globalConfig.alternativeDriver && ClipboardDriver.has(globalConfig.alternativeDriver)) {
-                    var alt = ClipboardDriver.get(globalConfig.alternativeDriver);
+        /**
+         * Bind elements with data attributes in root subtree,
+         * elements added, removed or changed later are bound and unbound automatically
+         *
+         * @param {String|HTMLElement} [root] document by default
+         * @returns {ClipboardAutoBind}
+         */
+        autoBind: function (root) {
+            root = rootElement(root);
 
-                    if (alt.checkSupport()) {
-                        alt.copy.apply(alt, args);
-                    } else {
-                        ClipboardDriver.remove(alt.name);
-                    }
-                }
-            } else {
-                ClipboardDriver.current.copy.apply(ClipboardDriver.current, args);
+            if (!root) {
+                throw new Error('Invalid arguments');
             }
 
-            this.on('error', function (e) {
+            var autoBind = autoBinds.filter(function (item) {
+                return item.root === root;
+            })[0];
 
-                if (e.name === 'support') {
-                    ClipboardDriver.remove(e.clipboardType);
+            if (!autoBind) {
+                autoBind = new ClipboardAutoBind(root).scan(root).observe();
+                autoBinds.push(autoBind);
+            }
 
-                    for (var key in ClipboardDriver.drivers) {
-                        var driver = ClipboardDriver.drivers[key];
+            return autoBind;
+        },
 
-                        if (driver.checkSupport()) {
-                            driver.copy.apply(driver, args);
-                            ClipboardDriver.use(driver.name);
-                            e.target.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+        /**
+         * Inject copy buttons into code blocks, which copy clean code
+         * without prompts, line numbers, diff markers and tooltips
+         *
+         * @param {String|HTMLElement} [root] document by default
+         * @param {Object} [options]
+         * @param {String} [options.selector] code blocks selector, "pre > code" by default
+         * @param {RegExp|Boolean} [options.prompts] shell prompts, stripped from commands of shell blocks, true is default prompts
+         * @param {Boolean} [options.shell] strip prompts, detected by "shell", "console" or "bash" class by default
+         * @param {Boolean} [options.outputs] copy output lines of shell blocks, true by default
+         * @param {String} [options.exclude] selector of removed line numbers gutters and tooltips
+         * @param {Boolean} [options.diff] strip diff markers, detected by "diff" class by default
+         * @param {Boolean} [options.html] copy highlighted html with inlined styles too
+         * @param {String} [options.buttonText]
+         * @param {String} [options.buttonClass]
+         * @param {String|Array} [options.on] buttons activation events
+         * @returns {ClipboardCodeBlocks}
+         */
+        codeBlocks: function (root, options) {
+            root = rootElement(root);
 
-                            break;
-                        }
-                    }
+            if (!root) {
+                throw new Error('Invalid arguments');
+            }
+
+            var blocks = new ClipboardCodeBlocks(root, extend([codeBlockDefaults, options])).scan();
+
+            codeBlocks.push(blocks);
+
+            return blocks;
+        },
+
+        /**
+         * Remove copy and paste listeners from elements
+         *
+         * @param {String|Array|HTMLElement|HTMLCollection} elem
+         * @returns {ClipboardAPI}
+         */
+        unbind: function (elem) {
+            var elements = toElements(elem);
+
+            bindings.slice().forEach(function (binding) {
+                if (binding.selector && binding.selector === elem) {
+                    binding.destroy();
+                } else {
+                    binding.unbind(elements);
                 }
-            }, this);
+            });
+
+            pasteEvents = pasteEvents.filter(function (item) {
+                if (elements.indexOf(item.elem) === -1) {
+                    return true;
+                }
+
+                item.elem.removeEventListener('paste', item.handler, false);
+            });
+
+            return this;
+        },
+
+        /**
+         * Handle paste to targets, handler can cancel paste by preventDefault
+         * or replace pasted content by returned text or formats map
+         *
+         * @param {String|Array|HTMLElement|HTMLCollection} elem
+         * @param {Function} [handler] gets paste ClipboardCustomEvent
+         * @returns {ClipboardAPI}
+         */
+        paste: function (elem, handler) {
+            if (!elem) {
+                throw new Error('Invalid arguments');
+            }
+
+            var pasteHandler = function (e) {
+                var transfer = readTransfer(e.clipboardData || scope.clipboardData),
+                    target = e.currentTarget;
+
+                var event = new ClipboardCustomEvent('paste', {
+                    clipboardType: 'native',
+                    target: target,
+                    text: transfer.data['text/plain'],
+                    html: transfer.data['text/html'],
+                    data: transfer.data,
+                    files: transfer.files
+                });
+
+                var result = handler ? handler.call(target, event) : undefined,
+                    replaced = typeof result === 'string' || isFormatsMap(result);
+
+                if (event.defaultPrevented || replaced) {
+                    e.preventDefault();
+                }
+
+                if (!event.defaultPrevented && replaced) {
+                    insertData(target, toClipboardData(result));
+                }
+
+                this.trigger('paste', event);
+            }.bind(this);
+
+            toElements(elem).forEach(function (item) {
+                item.addEventListener('paste', pasteHandler, false);
+
+                pasteEvents.push({
+                    elem: item,
+                    handler: pasteHandler
+                });
+            });
 
             return this;
         },
 
+        /**
+         * Write data to buffer, uses same drivers as copy method
+         *
+         * @param {*} payload text, MIME types to values map or callback
+         * @param {Object} [options] serializer options
+         * @param {String|Function} [options.serialize] serializer name or function of non-string payload
+         * @returns {Promise} resolved with copy ClipboardCustomEvent, rejected with error ClipboardCustomEvent
+         */
+        write: function (payload, options) {
+            var data = ClipboardBase.beforeCopy.call(this, ClipboardBase.callbackToData(payload, null, options));
+
+            if (!data) {
+                return Promise.reject(new ClipboardCustomEvent('error', {
+                    message: 'Copy was prevented',
+                    name: 'prevented'
+                }));
+            }
+
+            return settle(this, 'copy', writeData(data));
+        },
+
+        /**
+         * Cut selected or whole content of editable element,
+         * content is removed by execCommand to keep native undo
+         *
+         * @param {String|HTMLElement} target input, textarea or contenteditable element
+         * @param {Object} [options]
+         * @param {Boolean} [options.all] cut whole content ignoring selection
+         * @returns {Promise} resolved with cut ClipboardCustomEvent, rejected with error ClipboardCustomEvent
+         */
+        cut: function (target, options) {
+            var elem = target ? toElements(target)[0] : null;
+
+            if (!elem || elem.readOnly || elem.disabled || !(isField(elem) ? elem.tagName !== 'SELECT' : elem.isContentEditable)) {
+                throw new Error('Invalid arguments');
+            }
+
+            var content = editableContent(elem, (options || { }).all),
+                data = ClipboardBase.beforeCopy.call(this, content.data, elem);
+
+            if (!data) {
+                return Promise.reject(new ClipboardCustomEvent('error', {
+                    target: elem,
+                    message: 'Cut was prevented',
+                    name: 'prevented'
+                }));
+            }
+
+            return settle(this, 'cut', writeData(data).then(function (event) {
+                content.select();
+                insertData(elem, { 'text/plain': '' });
+
+                return new ClipboardCustomEvent('cut', {
+                    clipboardType: event.clipboardType,
+                    target: elem,
+                    text: event.text,
+                    data: event.data,
+                    formats: event.formats
+                });
+            }, function (event) {
+                throw new ClipboardCustomEvent('error', {
+                    clipboardType: event.clipboardType,
+                    target: elem,
+                    message: event.message,
+                    name: event.name
+                });
+            }));
+        },
+
+        /**
+         * Write text to buffer
+         *
+         * @param {String} text
+         * @returns {Promise} resolved with copy ClipboardCustomEvent, rejected with error ClipboardCustomEvent
+         */
+        writeText: function (text) {
+            return this.write('' + text);
+        },
+
+        /**
+         * Read all formats from buffer,
+         * waits for paste event if clipboard reading is not supported
+         *
+         * @returns {Promise} resolved with read ClipboardCustomEvent, rejected with error ClipboardCustomEvent
+         */
+        read: function () {
+            return settle(this, 'read', readData());
+        },
+
+        /**
+         * Read text from buffer
+         *
+         * @returns {Promise} resolved with read ClipboardCustomEvent, rejected with error ClipboardCustomEvent
+         */
+        readText: function () {
+            return settle(this, 'read', readData('text/plain'));
+        },
+
+        /**
+         * Check any supported driver of chain can write format
+         *
+         * @param {String} format MIME type
+         * @returns {Boolean}
+         */
+        supports: function (format) {
+            return ClipboardDriver.chain.some(function (driver) {
+                return canWrite(driver, [format]) && driver.checkSupport();
+            });
+        },
+
         /**
          * Set global config
          *
@@ -713,15 +3821,36 @@
         destroy: function () {
             this.trigger('destroy');
 
+            autoBinds.slice().forEach(function (autoBind) {
+                autoBind.destroy();
+            });
+
+            codeBlocks.slice().forEach(function (blocks) {
+                blocks.destroy();
+            });
+
+            bindings.slice().forEach(function (binding) {
+                binding.destroy();
+            });
+
             Object.keys(ClipboardDriver.drivers).forEach(function (key) {
                 var driver = ClipboardDriver.get(key);
                 driver.destroy();
             });
 
+            pasteEvents.forEach(function (item) {
+                item.elem.removeEventListener('paste', item.handler, false);
+            });
+
+            pasteEvents.length = 0;
+            bindings.length = 0;
+
+            ClipboardFallback.reset();
+
             this.off();
         }
     };
 
-    scope.Clipboard = Object.create(ClipboardEmitter, propertiesNames(ClipboardAPI));
+    scope.Clipboard = ClipboardBase.parent = Object.create(ClipboardEmitter, propertiesNames(ClipboardAPI));
 
 }(window || {}, document));
\ No newline at end of file